@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef, useMemo } from 'react';
+import React, { useState, useEffect, useRef, useMemo, forwardRef, useImperativeHandle } from 'react';
 
 // ============================================================================
 // VOXEL ENGINE CORE - OPTIMIZED
@@ -6,26 +6,176 @@ import React, { useState, useEffect, useRef, useMemo } from 'react';
 
 const VoxelEngine = {
   // Create empty voxel grid
-  createGrid: (size) => {
-    const grid = new Uint8Array(size * size * size);
-    return { data: grid, size, symmetric: false };
+  // createGrid(size) makes a cube; createGrid(width, height, depth) a box.
+  // size is the reference edge that model builders scale against (s / 32)
+  createGrid: (width, height = width, depth = width) => {
+    const grid = new Uint8Array(width * height * depth);
+    return { data: grid, size: Math.max(width, height, depth), width, height, depth, symmetric: false, symmetry: null };
+  },
+
+  // Create empty sparse grid for large props: chunkSize³ blocks are
+  // allocated on first write and dropped again when they empty out
+  createChunkedGrid: (width, height = width, depth = width, chunkSize = 16) => {
+    return {
+      data: null,
+      chunks: new Map(),
+      chunkSize,
+      chunksX: Math.ceil(width / chunkSize),
+      chunksY: Math.ceil(height / chunkSize),
+      dirty: new Set(),
+      size: Math.max(width, height, depth),
+      width,
+      height,
+      depth,
+      symmetric: false,
+      symmetry: null
+    };
+  },
+
+  // Empty grid with the same dimensions and storage as another
+  createGridLike: (grid) => {
+    const copy = grid.chunks
+      ? VoxelEngine.createChunkedGrid(grid.width, grid.height, grid.depth, grid.chunkSize)
+      : VoxelEngine.createGrid(grid.width, grid.height, grid.depth);
+    copy.size = grid.size;
+    return copy;
+  },
+
+  // Grid from host data: another grid (copied, with its symmetry), or
+  // { width, height, depth } (or { size }) holding either a flat `data`
+  // array indexed like grid.data or a `voxels` list of [x, y, z, colorIndex]
+  fromData: (source, options = {}) => {
+    const { chunked = false } = options;
+    if (!source || typeof source !== 'object') {
+      throw new Error('VoxelEngine: grid data must be an object');
+    }
+    const width = source.width || source.size;
+    const height = source.height || source.size;
+    const depth = source.depth || source.size;
+    if (![width, height, depth].every(n => Number.isInteger(n) && n > 0)) {
+      throw new Error('VoxelEngine: grid data needs a positive width, height and depth, or a size');
+    }
+
+    const grid = chunked
+      ? VoxelEngine.createChunkedGrid(width, height, depth)
+      : VoxelEngine.createGrid(width, height, depth);
+    if (source.size) grid.size = source.size;
+    if (source.chunks) {
+      VoxelEngine.forEachVoxel(source, (x, y, z, voxel) => VoxelEngine.setVoxel(grid, x, y, z, voxel));
+    } else if (source.data) {
+      if (source.data.length !== width * height * depth) {
+        throw new Error(`VoxelEngine: grid data has ${source.data.length} cells, expected ${width * height * depth}`);
+      }
+      for (let i = 0; i < source.data.length; i++) {
+        if (source.data[i]) {
+          VoxelEngine.setVoxel(grid, i % width, Math.floor(i / width) % height, Math.floor(i / (width * height)), source.data[i]);
+        }
+      }
+    } else if (Array.isArray(source.voxels)) {
+      source.voxels.forEach(([x, y, z, value]) => VoxelEngine.setVoxel(grid, x, y, z, value));
+    } else {
+      throw new Error('VoxelEngine: grid data needs a data array or a voxels list');
+    }
+    grid.symmetric = !!source.symmetric;
+    grid.symmetry = source.symmetry || null;
+    return grid;
+  },
+
+  chunkKey: (grid, cx, cy, cz) => cx + cy * grid.chunksX + cz * grid.chunksX * grid.chunksY,
+
+  // Flag the chunk holding (x, y, z) for re-meshing, plus any neighbor
+  // chunk (diagonals included) whose boundary faces or corner occlusion
+  // depend on this voxel
+  markDirty: (grid, x, y, z) => {
+    const cs = grid.chunkSize;
+    const c = [Math.floor(x / cs), Math.floor(y / cs), Math.floor(z / cs)];
+    const local = [x % cs, y % cs, z % cs];
+
+    const counts = [grid.chunksX, grid.chunksY, Math.ceil(grid.depth / cs)];
+
+    const steps = [0, 1, 2].map(a => {
+      const options = [0];
+      if (local[a] === 0 && c[a] > 0) options.push(-1);
+      if (local[a] === cs - 1 && c[a] < counts[a] - 1) options.push(1);
+      return options;
+    });
+    steps[0].forEach(dx => steps[1].forEach(dy => steps[2].forEach(dz => {
+      grid.dirty.add(VoxelEngine.chunkKey(grid, c[0] + dx, c[1] + dy, c[2] + dz));
+    })));
   },
 
   // Set voxel at position
   setVoxel: (grid, x, y, z, value) => {
-    if (x >= 0 && x < grid.size && y >= 0 && y < grid.size && z >= 0 && z < grid.size) {
-      grid.data[x + y * grid.size + z * grid.size * grid.size] = value;
+    if (x >= 0 && x < grid.width && y >= 0 && y < grid.height && z >= 0 && z < grid.depth) {
+      if (grid.chunks) {
+        const cs = grid.chunkSize;
+        const key = VoxelEngine.chunkKey(grid, Math.floor(x / cs), Math.floor(y / cs), Math.floor(z / cs));
+        let chunk = grid.chunks.get(key);
+        if (!chunk) {
+          if (value === 0) return;
+          chunk = { data: new Uint8Array(cs * cs * cs), count: 0 };
+          grid.chunks.set(key, chunk);
+        }
+
+        const i = (x % cs) + (y % cs) * cs + (z % cs) * cs * cs;
+        const previous = chunk.data[i];
+        if (previous === value) return;
+
+        chunk.data[i] = value;
+        chunk.count += (value !== 0 ? 1 : 0) - (previous !== 0 ? 1 : 0);
+        if (chunk.count === 0) grid.chunks.delete(key);
+        VoxelEngine.markDirty(grid, x, y, z);
+        return;
+      }
+      grid.data[x + y * grid.width + z * grid.width * grid.height] = value;
     }
   },
 
   // Get voxel at position
   getVoxel: (grid, x, y, z) => {
-    if (x >= 0 && x < grid.size && y >= 0 && y < grid.size && z >= 0 && z < grid.size) {
-      return grid.data[x + y * grid.size + z * grid.size * grid.size];
+    if (x >= 0 && x < grid.width && y >= 0 && y < grid.height && z >= 0 && z < grid.depth) {
+      if (grid.chunks) {
+        const cs = grid.chunkSize;
+        const chunk = grid.chunks.get(VoxelEngine.chunkKey(grid, Math.floor(x / cs), Math.floor(y / cs), Math.floor(z / cs)));
+        return chunk ? chunk.data[(x % cs) + (y % cs) * cs + (z % cs) * cs * cs] : 0;
+      }
+      return grid.data[x + y * grid.width + z * grid.width * grid.height];
     }
     return 0;
   },
 
+  // Visit every filled voxel; chunked grids only walk allocated chunks
+  forEachVoxel: (grid, callback) => {
+    if (grid.chunks) {
+      const cs = grid.chunkSize;
+      grid.chunks.forEach((chunk, key) => {
+        const cx = key % grid.chunksX;
+        const cy = Math.floor(key / grid.chunksX) % grid.chunksY;
+        const cz = Math.floor(key / (grid.chunksX * grid.chunksY));
+        for (let i = 0; i < chunk.data.length; i++) {
+          if (chunk.data[i] === 0) continue;
+          callback(
+            cx * cs + (i % cs),
+            cy * cs + (Math.floor(i / cs) % cs),
+            cz * cs + Math.floor(i / (cs * cs)),
+            chunk.data[i]
+          );
+        }
+      });
+      return;
+    }
+
+    const { width, height, depth, data } = grid;
+    for (let z = 0; z < depth; z++) {
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const voxel = data[x + y * width + z * width * height];
+          if (voxel !== 0) callback(x, y, z, voxel);
+        }
+      }
+    }
+  },
+
   // Check if voxel is interior (surrounded on all 6 sides)
   isInterior: (grid, x, y, z) => {
     return (
@@ -40,51 +190,101 @@ const VoxelEngine = {
 
   // OPTIMIZATION 1: Hollow out the grid - remove interior voxels
   hollowGrid: (grid) => {
-    const { size, data } = grid;
-    const hollow = new Uint8Array(size * size * size);
+    const hollow = VoxelEngine.createGridLike(grid);
     let removed = 0;
     let kept = 0;
 
-    for (let z = 0; z < size; z++) {
-      for (let y = 0; y < size; y++) {
-        for (let x = 0; x < size; x++) {
-          const voxel = VoxelEngine.getVoxel(grid, x, y, z);
-          if (voxel !== 0) {
-            if (!VoxelEngine.isInterior(grid, x, y, z)) {
-              hollow[x + y * size + z * size * size] = voxel;
-              kept++;
-            } else {
-              removed++;
-            }
-          }
-        }
+    VoxelEngine.forEachVoxel(grid, (x, y, z, voxel) => {
+      if (!VoxelEngine.isInterior(grid, x, y, z)) {
+        VoxelEngine.setVoxel(hollow, x, y, z, voxel);
+        kept++;
+      } else {
+        removed++;
       }
-    }
+    });
 
     return { 
-      data: hollow, 
-      size, 
+      ...hollow,
       symmetric: grid.symmetric,
+      symmetry: grid.symmetry,
       stats: { removed, kept, ratio: kept / (kept + removed) }
     };
   },
 
-  // OPTIMIZATION 2: Mirror grid along X axis (for symmetric models)
-  // Only the LEFT half (x < center) is defined, we mirror to the right
+  // Normalized symmetry descriptor { x, y, z, radial } or null
+  // grid.symmetry takes precedence; grid.symmetric = true means X mirroring
+  getSymmetry: (grid) => {
+    const source = grid.symmetry || (grid.symmetric ? { x: true } : null);
+    if (!source) return null;
+
+    const symmetry = {
+      x: !!source.x,
+      y: !!source.y,
+      z: !!source.z,
+      radial: Math.max(1, Math.floor(source.radial || 1))
+    };
+    return (symmetry.x || symmetry.y || symmetry.z || symmetry.radial > 1) ? symmetry : null;
+  },
+
+  // OPTIMIZATION 2: Mirror grid across its symmetry planes (for symmetric models)
+  // Only the LOW half of each mirrored axis is defined (x < center is the
+  // left half), we mirror to the high side. Radial symmetry then copies the
+  // sector around -X/-Z (the x < cx, z < cz quadrant for 4-fold) around Y,
+  // replacing whatever the other sectors held so the result is exactly N-fold.
   mirrorGrid: (grid) => {
-    if (!grid.symmetric) return grid;
+    const symmetry = VoxelEngine.getSymmetry(grid);
+    if (!symmetry) return grid;
     
-    const { size, data } = grid;
-    const center = Math.floor(size / 2);
+    const { width, height, depth } = grid;
+    const dims = [width, height, depth];
     
-    for (let z = 0; z < size; z++) {
-      for (let y = 0; y < size; y++) {
-        for (let x = 0; x < center; x++) {
-          const voxel = VoxelEngine.getVoxel(grid, x, y, z);
-          if (voxel !== 0) {
-            // Mirror to the right side
-            const mirrorX = size - 1 - x;
-            VoxelEngine.setVoxel(grid, mirrorX, y, z, voxel);
+    ['x', 'y', 'z'].forEach((axis, a) => {
+      if (!symmetry[axis]) return;
+      const center = Math.floor(dims[a] / 2);
+      const pos = [0, 0, 0];
+
+      for (let z = 0; z < depth; z++) {
+        for (let y = 0; y < height; y++) {
+          for (let x = 0; x < width; x++) {
+            pos[0] = x;
+            pos[1] = y;
+            pos[2] = z;
+            if (pos[a] >= center) continue;
+
+            const voxel = VoxelEngine.getVoxel(grid, x, y, z);
+            if (voxel !== 0) {
+              // Mirror to the high side
+              pos[a] = dims[a] - 1 - pos[a];
+              VoxelEngine.setVoxel(grid, pos[0], pos[1], pos[2], voxel);
+            }
+          }
+        }
+      }
+    });
+
+    if (symmetry.radial > 1) {
+      const sector = (Math.PI * 2) / symmetry.radial;
+      const cx = width / 2;
+      const cz = depth / 2;
+
+      for (let z = 0; z < depth; z++) {
+        for (let x = 0; x < width; x++) {
+          // Angle measured from the -X axis towards -Z
+          const a = cx - (x + 0.5);
+          const b = cz - (z + 0.5);
+          let angle = Math.atan2(b, a);
+          if (angle < 0) angle += Math.PI * 2;
+          const k = Math.floor(angle / sector + 1e-9) % symmetry.radial;
+          if (k === 0) continue;
+
+          // Rotate back into the source sector and sample it
+          const c = Math.cos(k * sector);
+          const sn = Math.sin(k * sector);
+          const sx = Math.round(cx - (a * c + b * sn) - 0.5);
+          const sz = Math.round(cz - (-a * sn + b * c) - 0.5);
+
+          for (let y = 0; y < height; y++) {
+            VoxelEngine.setVoxel(grid, x, y, z, VoxelEngine.getVoxel(grid, sx, y, sz));
           }
         }
       }
@@ -93,19 +293,112 @@ const VoxelEngine = {
     return grid;
   },
 
+  // Work out how generateMesh can rebuild the model from a fraction of it:
+  // the region to scan and the duplication steps that cover the rest.
+  // Radial symmetry is only duplicated at render time for 2- and 4-fold on a
+  // square footprint, where rotations map voxels exactly onto voxels.
+  symmetryPlan: (grid, symmetry) => {
+    const { width, height, depth } = grid;
+    const region = [width, height, depth];
+    const steps = [];
+    if (!symmetry) return { region, steps };
+
+    const dims = [width, height, depth];
+    const half = (a) => Math.ceil(dims[a] / 2);
+    const exactRadial = width === depth && (symmetry.radial === 2 || symmetry.radial === 4);
+    let mirrors = { x: symmetry.x, y: symmetry.y, z: symmetry.z };
+    let radial = 1;
+
+    if (symmetry.radial > 1) {
+      if (symmetry.radial === 2 && (symmetry.x || symmetry.z)) {
+        // A half turn plus one mirror implies the other mirror
+        mirrors = { x: true, y: symmetry.y, z: true };
+      } else {
+        // Other rotation groups don't line up with axis mirrors
+        mirrors = { x: false, y: symmetry.y, z: false };
+        radial = exactRadial ? symmetry.radial : 1;
+      }
+    }
+
+    ['x', 'y', 'z'].forEach((axis, a) => {
+      if (!mirrors[axis]) return;
+      region[a] = half(a);
+      steps.push({ type: 'mirror', axis: a, label: axis.toUpperCase() });
+    });
+
+    if (radial === 4) {
+      region[0] = half(0);
+      region[2] = half(2);
+    } else if (radial === 2) {
+      region[2] = half(2);
+    }
+    if (radial > 1) {
+      steps.push({ type: 'radial', order: radial, label: `Y×${radial}` });
+    }
+
+    return { region, steps };
+  },
+
   // Check if face is visible (not occluded by neighbor)
   isFaceVisible: (grid, x, y, z, dx, dy, dz) => {
     return VoxelEngine.getVoxel(grid, x + dx, y + dy, z + dz) === 0;
   },
 
+  // OPTIMIZATION 3: Greedy merge of a 2D face mask into maximal rectangles
+  // mask holds a color index per cell (0 = no face), returns { u, v, w, h, value }
+  greedyMerge: (mask, width, height) => {
+    const rects = [];
+    const used = new Uint8Array(width * height);
+
+    for (let v = 0; v < height; v++) {
+      for (let u = 0; u < width; u++) {
+        const value = mask[u + v * width];
+        if (value === 0 || used[u + v * width]) continue;
+
+        // Grow along u while the color matches
+        let w = 1;
+        while (u + w < width && mask[u + w + v * width] === value && !used[u + w + v * width]) {
+          w++;
+        }
+
+        // Grow along v while the whole row matches
+        let h = 1;
+        grow: while (v + h < height) {
+          for (let k = 0; k < w; k++) {
+            const i = u + k + (v + h) * width;
+            if (mask[i] !== value || used[i]) break grow;
+          }
+          h++;
+        }
+
+        for (let dv = 0; dv < h; dv++) {
+          for (let du = 0; du < w; du++) {
+            used[u + du + (v + dv) * width] = 1;
+          }
+        }
+
+        rects.push({ u, v, w, h, value });
+      }
+    }
+
+    return rects;
+  },
+
   // Generate mesh from voxel grid (exterior surfaces only)
   // Now with optional symmetry optimization for rendering
-  generateMesh: (grid, useSymmetryOptimization = true) => {
+  // options.greedy merges coplanar same-color faces into larger quads
+  // options.bounds [x0, y0, z0, x1, y1, z1] limits meshing to a sub-box
+  // options.ao adds mesh.occlusion: 0 (open) to 3 (fully occluded) per vertex
+  generateMesh: (grid, useSymmetryOptimization = true, options = {}) => {
     const vertices = [];
     const faces = [];
     const colors = [];
     
-    const { size, data, symmetric } = grid;
+    const { size, width, height, depth } = grid;
+    const { greedy = false, bounds = null, ao = false } = options;
+    const occlusion = ao ? [] : null;
+    const symmetry = VoxelEngine.getSymmetry(grid);
+    const symmetric = symmetry !== null;
     
     // Face definitions: [normal, vertex offsets]
     const faceTemplates = {
@@ -117,76 +410,511 @@ const VoxelEngine = {
       left:   { normal: [-1, 0, 0], verts: [[0,0,0], [0,1,0], [0,1,1], [0,0,1]] }
     };
 
-    const center = size / 2;
-    
-    // If symmetric and using optimization, only process left half
-    const xEnd = (symmetric && useSymmetryOptimization) ? Math.ceil(size / 2) : size;
+    const faceChecks = [
+      { face: 'top', dx: 0, dy: 1, dz: 0 },
+      { face: 'bottom', dx: 0, dy: -1, dz: 0 },
+      { face: 'front', dx: 0, dy: 0, dz: 1 },
+      { face: 'back', dx: 0, dy: 0, dz: -1 },
+      { face: 'right', dx: 1, dy: 0, dz: 0 },
+      { face: 'left', dx: -1, dy: 0, dz: 0 }
+    ];
 
-    for (let z = 0; z < size; z++) {
-      for (let y = 0; y < size; y++) {
-        for (let x = 0; x < xEnd; x++) {
-          const voxel = VoxelEngine.getVoxel(grid, x, y, z);
-          if (voxel === 0) continue;
-
-          const faceChecks = [
-            { face: 'top', dx: 0, dy: 1, dz: 0 },
-            { face: 'bottom', dx: 0, dy: -1, dz: 0 },
-            { face: 'front', dx: 0, dy: 0, dz: 1 },
-            { face: 'back', dx: 0, dy: 0, dz: -1 },
-            { face: 'right', dx: 1, dy: 0, dz: 0 },
-            { face: 'left', dx: -1, dy: 0, dz: 0 }
-          ];
-
-          faceChecks.forEach(({ face, dx, dy, dz }) => {
-            if (VoxelEngine.isFaceVisible(grid, x, y, z, dx, dy, dz)) {
-              const template = faceTemplates[face];
-              const baseIndex = vertices.length / 3;
-              
-              // Add vertices for left side
-              template.verts.forEach(([vx, vy, vz]) => {
-                vertices.push(x + vx, y + vy, z + vz);
-              });
-
-              faces.push(baseIndex, baseIndex + 1, baseIndex + 2);
-              faces.push(baseIndex, baseIndex + 2, baseIndex + 3);
-
-              for (let i = 0; i < 4; i++) {
-                colors.push(voxel);
+    // Occlusion at each corner of a unit face, from the three voxels around
+    // that corner in the layer the face looks into
+    const solid = (x, y, z) => (VoxelEngine.getVoxel(grid, x, y, z) !== 0 ? 1 : 0);
+    const cornerOcclusion = (template, x, y, z) => {
+      const n = template.normal;
+      const d = n[0] !== 0 ? 0 : (n[1] !== 0 ? 1 : 2);
+      const u = (d + 1) % 3;
+      const v = (d + 2) % 3;
+
+      return template.verts.map((offset) => {
+        const side1 = [x + n[0], y + n[1], z + n[2]];
+        const side2 = [...side1];
+        side1[u] += offset[u] ? 1 : -1;
+        side2[v] += offset[v] ? 1 : -1;
+        const corner = [...side1];
+        corner[v] = side2[v];
+
+        const a = solid(...side1);
+        const b = solid(...side2);
+        return a && b ? 3 : a + b + solid(...corner);
+      });
+    };
+
+    // Emit one quad spanning (sx, sy, sz) voxels from the cell at (x, y, z)
+    const pushQuad = (template, x, y, z, sx, sy, sz, voxel, levels = null) => {
+      const baseIndex = vertices.length / 3;
+
+      template.verts.forEach(([vx, vy, vz]) => {
+        vertices.push(x + vx * sx, y + vy * sy, z + vz * sz);
+      });
+
+      // Split along the diagonal that keeps occlusion symmetric. When both
+      // diagonals tie with uneven corners, either choice would flip under
+      // mirroring, so the quad fans out from a center vertex instead and a
+      // mirrored copy shades like the fully meshed side
+      const corners = levels ? [...levels] : [0, 0, 0, 0];
+      const diagonal02 = corners[0] + corners[2];
+      const diagonal13 = corners[1] + corners[3];
+      if (diagonal02 === diagonal13 && corners.some(level => level !== corners[0])) {
+        vertices.push(...[0, 1, 2].map(k => (vertices[baseIndex * 3 + k] + vertices[baseIndex * 3 + 6 + k]) / 2));
+        corners.push((diagonal02 + diagonal13) / 4);
+        for (let i = 0; i < 4; i++) faces.push(baseIndex + 4, baseIndex + i, baseIndex + (i + 1) % 4);
+      } else if (diagonal02 > diagonal13) {
+        faces.push(baseIndex + 1, baseIndex + 2, baseIndex + 3);
+        faces.push(baseIndex + 1, baseIndex + 3, baseIndex);
+      } else {
+        faces.push(baseIndex, baseIndex + 1, baseIndex + 2);
+        faces.push(baseIndex, baseIndex + 2, baseIndex + 3);
+      }
+
+      corners.forEach(level => {
+        colors.push(voxel);
+        if (occlusion) occlusion.push(level);
+      });
+    };
+
+    // If symmetric and using optimization, only process the defined part
+    const plan = VoxelEngine.symmetryPlan(grid, useSymmetryOptimization ? symmetry : null);
+    const lo = bounds ? bounds.slice(0, 3) : [0, 0, 0];
+    const hi = plan.region.map((end, a) => (bounds ? Math.min(end, bounds[a + 3]) : end));
+    const [xEnd, yEnd, zEnd] = hi;
+
+    if (greedy) {
+      // OPTIMIZATION 3: Sweep each face direction slice by slice and merge
+      const dims = hi.map((end, a) => Math.max(0, end - lo[a]));
+
+      faceChecks.forEach(({ face, dx, dy, dz }) => {
+        const template = faceTemplates[face];
+        const d = dx !== 0 ? 0 : (dy !== 0 ? 1 : 2);
+        const u = (d + 1) % 3;
+        const v = (d + 2) % 3;
+        // Low byte is the color, high byte a uniform occlusion level
+        const mask = new Uint16Array(dims[u] * dims[v]);
+        const pos = [0, 0, 0];
+
+        for (let slice = 0; slice < dims[d]; slice++) {
+          pos[d] = lo[d] + slice;
+          mask.fill(0);
+
+          for (let j = 0; j < dims[v]; j++) {
+            for (let i = 0; i < dims[u]; i++) {
+              pos[u] = lo[u] + i;
+              pos[v] = lo[v] + j;
+              const voxel = VoxelEngine.getVoxel(grid, pos[0], pos[1], pos[2]);
+              if (voxel === 0 || !VoxelEngine.isFaceVisible(grid, pos[0], pos[1], pos[2], dx, dy, dz)) continue;
+
+              if (!ao) {
+                mask[i + j * dims[u]] = voxel;
+                continue;
+              }
+              // Faces with an occlusion gradient stay single so it isn't stretched
+              const levels = cornerOcclusion(template, pos[0], pos[1], pos[2]);
+              if (levels.every(level => level === levels[0])) {
+                mask[i + j * dims[u]] = voxel | (levels[0] << 8);
+              } else {
+                pushQuad(template, pos[0], pos[1], pos[2], 1, 1, 1, voxel, levels);
               }
             }
+          }
+
+          VoxelEngine.greedyMerge(mask, dims[u], dims[v]).forEach((rect) => {
+            const extent = [1, 1, 1];
+            pos[u] = lo[u] + rect.u;
+            pos[v] = lo[v] + rect.v;
+            extent[u] = rect.w;
+            extent[v] = rect.h;
+            const level = rect.value >> 8;
+            pushQuad(template, pos[0], pos[1], pos[2], extent[0], extent[1], extent[2], rect.value & 0xff,
+              ao ? [level, level, level, level] : null);
           });
         }
+      });
+    } else {
+      for (let z = lo[2]; z < zEnd; z++) {
+        for (let y = lo[1]; y < yEnd; y++) {
+          for (let x = lo[0]; x < xEnd; x++) {
+            const voxel = VoxelEngine.getVoxel(grid, x, y, z);
+            if (voxel === 0) continue;
+
+            faceChecks.forEach(({ face, dx, dy, dz }) => {
+              if (VoxelEngine.isFaceVisible(grid, x, y, z, dx, dy, dz)) {
+                const template = faceTemplates[face];
+                pushQuad(template, x, y, z, 1, 1, 1, voxel, ao ? cornerOcclusion(template, x, y, z) : null);
+              }
+            });
+          }
+        }
       }
     }
 
-    // OPTIMIZATION 2: Mirror geometry for symmetric models
-    if (symmetric && useSymmetryOptimization) {
+    // OPTIMIZATION 2: Duplicate geometry for symmetric models
+    const dims = [width, height, depth];
+    const symmetrySavings = [];
+
+    plan.steps.forEach((step) => {
       const originalVertCount = vertices.length / 3;
       const originalFaceCount = faces.length;
-      
-      // Duplicate and mirror all vertices
-      for (let i = 0; i < originalVertCount; i++) {
-        const vx = vertices[i * 3];
-        const vy = vertices[i * 3 + 1];
-        const vz = vertices[i * 3 + 2];
-        
-        // Mirror X coordinate around center
-        const mirroredX = size - vx;
-        vertices.push(mirroredX, vy, vz);
-        colors.push(colors[i]);
+      const copies = step.type === 'mirror' ? 1 : step.order - 1;
+
+      for (let k = 1; k <= copies; k++) {
+        const offset = vertices.length / 3;
+        // Quarter and half turns have exact integer sines and cosines
+        const angle = step.type === 'radial' ? k * Math.PI * 2 / step.order : 0;
+        const c = Math.round(Math.cos(angle));
+        const sn = Math.round(Math.sin(angle));
+
+        for (let i = 0; i < originalVertCount; i++) {
+          const v = [vertices[i * 3], vertices[i * 3 + 1], vertices[i * 3 + 2]];
+
+          if (step.type === 'mirror') {
+            // Mirror coordinate around center
+            v[step.axis] = dims[step.axis] - v[step.axis];
+          } else {
+            const dx = v[0] - width / 2;
+            const dz = v[2] - depth / 2;
+            v[0] = width / 2 + dx * c - dz * sn;
+            v[2] = depth / 2 + dx * sn + dz * c;
+          }
+
+          vertices.push(v[0], v[1], v[2]);
+          colors.push(colors[i]);
+          if (occlusion) occlusion.push(occlusion[i]);
+        }
+
+        for (let i = 0; i < originalFaceCount; i += 3) {
+          const i0 = faces[i] + offset;
+          const i1 = faces[i + 1] + offset;
+          const i2 = faces[i + 2] + offset;
+          if (step.type === 'mirror') {
+            // Reverse winding order for mirrored faces
+            faces.push(i0, i2, i1);
+          } else {
+            faces.push(i0, i1, i2);
+          }
+        }
       }
-      
-      // Duplicate faces with reversed winding for correct normals
-      for (let i = 0; i < originalFaceCount; i += 3) {
-        const i0 = faces[i] + originalVertCount;
-        const i1 = faces[i + 1] + originalVertCount;
-        const i2 = faces[i + 2] + originalVertCount;
-        // Reverse winding order for mirrored faces
-        faces.push(i0, i2, i1);
+
+      symmetrySavings.push({ axis: step.label, faces: (originalFaceCount / 3) * copies });
+    });
+
+    return { vertices, faces, colors, occlusion, size, width, height, depth, symmetric, symmetry, symmetrySavings, greedy };
+  },
+
+  // Incremental meshing for chunked grids: only chunks flagged dirty by
+  // setVoxel (or missing from the cache) are re-meshed, the rest reuse
+  // grid.meshCache. Returns the combined mesh in generateMesh's shape.
+  // Shell voxels are counted per chunk alongside, and chunks.voxels and
+  // chunks.shell total them without visiting clean chunks.
+  meshChunks: (grid, options = {}) => {
+    const { greedy = false, ao = false } = options;
+    const cs = grid.chunkSize;
+    if (!grid.meshCache || grid.meshCache.greedy !== greedy || grid.meshCache.ao !== ao) {
+      grid.meshCache = { greedy, ao, chunks: new Map() };
+    }
+    const cache = grid.meshCache.chunks;
+
+    const pending = new Set(grid.dirty);
+    grid.chunks.forEach((chunk, key) => {
+      if (!cache.has(key)) pending.add(key);
+    });
+
+    let remeshed = 0;
+    pending.forEach(key => {
+      if (!grid.chunks.has(key)) {
+        cache.delete(key);
+        return;
+      }
+      remeshed++;
+      const cx = key % grid.chunksX;
+      const cy = Math.floor(key / grid.chunksX) % grid.chunksY;
+      const cz = Math.floor(key / (grid.chunksX * grid.chunksY));
+      const bounds = [cx * cs, cy * cs, cz * cs, (cx + 1) * cs, (cy + 1) * cs, (cz + 1) * cs];
+      const { data } = grid.chunks.get(key);
+      let shell = 0;
+      for (let i = 0; i < data.length; i++) {
+        if (data[i] && !VoxelEngine.isInterior(grid, bounds[0] + i % cs, bounds[1] + Math.floor(i / cs) % cs, bounds[2] + Math.floor(i / (cs * cs)))) {
+          shell++;
+        }
+      }
+      cache.set(key, { mesh: VoxelEngine.generateMesh(grid, false, { greedy, ao, bounds }), shell });
+    });
+    grid.dirty.clear();
+
+    let voxels = 0;
+    let shell = 0;
+    grid.chunks.forEach(chunk => {
+      voxels += chunk.count;
+    });
+
+    const vertices = [];
+    const faces = [];
+    const colors = [];
+    const occlusion = ao ? [] : null;
+    cache.forEach(({ mesh: chunkMesh, shell: chunkShell }) => {
+      shell += chunkShell;
+      const offset = vertices.length / 3;
+      for (let i = 0; i < chunkMesh.vertices.length; i++) vertices.push(chunkMesh.vertices[i]);
+      for (let i = 0; i < chunkMesh.faces.length; i++) faces.push(chunkMesh.faces[i] + offset);
+      for (let i = 0; i < chunkMesh.colors.length; i++) colors.push(chunkMesh.colors[i]);
+      if (occlusion) for (let i = 0; i < chunkMesh.occlusion.length; i++) occlusion.push(chunkMesh.occlusion[i]);
+    });
+
+    const { size, width, height, depth } = grid;
+    return {
+      vertices, faces, colors, occlusion, size, width, height, depth,
+      symmetric: false, symmetry: null, symmetrySavings: [], greedy,
+      chunks: { total: cache.size, remeshed, voxels, shell }
+    };
+  }
+};
+
+// ============================================================================
+// SHAPES AND CSG
+// ============================================================================
+
+// Drawing library for model builders. Positions and sizes are in the 32-unit
+// space the presets use and are scaled by grid.size / 32, so one builder
+// works at every resolution. Cells are tested at their centers. Drawing with
+// value 0 carves instead of filling.
+const VoxelShapes = {
+  scale: (grid) => grid.size / 32,
+
+  // Axis index of the shape's long axis and the two across it (in x, y, z order)
+  axes: (axis = 'y') => {
+    const a = { x: 0, y: 1, z: 2 }[axis];
+    if (a === undefined) throw new Error(`VoxelShapes: unknown axis "${axis}"`);
+    return [a, ...[0, 1, 2].filter(k => k !== a)];
+  },
+
+  // Set every cell of the voxel-space box [min, max) whose center passes inside(p)
+  fillWhere: (grid, min, max, inside, value) => {
+    const dims = [grid.width, grid.height, grid.depth];
+    const lo = min.map(v => Math.max(0, Math.floor(v)));
+    const hi = max.map((v, a) => Math.min(dims[a], Math.ceil(v)));
+    const p = [0, 0, 0];
+    for (let x = lo[0]; x < hi[0]; x++) {
+      for (let y = lo[1]; y < hi[1]; y++) {
+        for (let z = lo[2]; z < hi[2]; z++) {
+          p[0] = x + 0.5;
+          p[1] = y + 0.5;
+          p[2] = z + 0.5;
+          if (inside(p)) VoxelEngine.setVoxel(grid, x, y, z, value);
+        }
+      }
+    }
+  },
+
+  // Box from (x1, y1, z1) up to, not including, (x2, y2, z2)
+  box: (grid, x1, y1, z1, x2, y2, z2, value) => {
+    const scale = VoxelShapes.scale(grid);
+    for (let x = Math.floor(x1 * scale); x < Math.floor(x2 * scale); x++) {
+      for (let y = Math.floor(y1 * scale); y < Math.floor(y2 * scale); y++) {
+        for (let z = Math.floor(z1 * scale); z < Math.floor(z2 * scale); z++) {
+          VoxelEngine.setVoxel(grid, x, y, z, value);
+        }
+      }
+    }
+  },
+
+  sphere: (grid, center, radius, value) => {
+    const scale = VoxelShapes.scale(grid);
+    const c = center.map(v => v * scale);
+    const r = radius * scale;
+    VoxelShapes.fillWhere(grid, c.map(v => v - r), c.map(v => v + r), (p) => {
+      const dx = p[0] - c[0];
+      const dy = p[1] - c[1];
+      const dz = p[2] - c[2];
+      return dx * dx + dy * dy + dz * dz <= r * r;
+    }, value);
+  },
+
+  ellipsoid: (grid, center, radii, value) => {
+    const scale = VoxelShapes.scale(grid);
+    const c = center.map(v => v * scale);
+    const r = radii.map(v => v * scale);
+    VoxelShapes.fillWhere(grid, c.map((v, a) => v - r[a]), c.map((v, a) => v + r[a]), (p) => {
+      let sum = 0;
+      for (let a = 0; a < 3; a++) sum += ((p[a] - c[a]) / r[a]) ** 2;
+      return sum <= 1;
+    }, value);
+  },
+
+  // Cone or frustum standing on base (the center of its bottom disc) and
+  // rising height along options.axis; topRadius 0 comes to a point
+  cone: (grid, base, radius, height, value, options = {}) => {
+    const { axis = 'y', topRadius = 0 } = options;
+    const [a, u, v] = VoxelShapes.axes(axis);
+    const scale = VoxelShapes.scale(grid);
+    const b = base.map(c => c * scale);
+    const h = height * scale;
+    const r0 = radius * scale;
+    const r1 = topRadius * scale;
+    const reach = Math.max(r0, r1);
+    const min = [0, 0, 0];
+    const max = [0, 0, 0];
+    min[a] = Math.min(b[a], b[a] + h);
+    max[a] = Math.max(b[a], b[a] + h);
+    [u, v].forEach((k) => {
+      min[k] = b[k] - reach;
+      max[k] = b[k] + reach;
+    });
+    VoxelShapes.fillWhere(grid, min, max, (p) => {
+      const t = (p[a] - b[a]) / h;
+      if (t < 0 || t >= 1) return false;
+      const r = r0 + (r1 - r0) * t;
+      return (p[u] - b[u]) ** 2 + (p[v] - b[v]) ** 2 <= r * r;
+    }, value);
+  },
+
+  cylinder: (grid, base, radius, height, value, options = {}) => {
+    VoxelShapes.cone(grid, base, radius, height, value, { ...options, topRadius: radius });
+  },
+
+  // Ring of tube radius minorRadius around center, lying across options.axis
+  torus: (grid, center, majorRadius, minorRadius, value, options = {}) => {
+    const [a, u, v] = VoxelShapes.axes(options.axis);
+    const scale = VoxelShapes.scale(grid);
+    const c = center.map(k => k * scale);
+    const major = majorRadius * scale;
+    const minor = minorRadius * scale;
+    const reach = [0, 0, 0];
+    reach[a] = minor;
+    reach[u] = major + minor;
+    reach[v] = major + minor;
+    VoxelShapes.fillWhere(grid, c.map((k, i) => k - reach[i]), c.map((k, i) => k + reach[i]), (p) => {
+      const ring = Math.sqrt((p[u] - c[u]) ** 2 + (p[v] - c[v]) ** 2) - major;
+      return ring * ring + (p[a] - c[a]) ** 2 <= minor * minor;
+    }, value);
+  },
+
+  // Line between two points: one cell thick, or a capsule with options.radius
+  line: (grid, from, to, value, options = {}) => {
+    const { radius = 0 } = options;
+    const scale = VoxelShapes.scale(grid);
+    const p0 = from.map(k => k * scale);
+    const p1 = to.map(k => k * scale);
+    const d = p1.map((k, a) => k - p0[a]);
+
+    if (radius <= 0) {
+      const steps = Math.max(1, Math.ceil(Math.max(...d.map(Math.abs))));
+      for (let i = 0; i <= steps; i++) {
+        const t = i / steps;
+        VoxelEngine.setVoxel(grid, ...p0.map((k, a) => Math.floor(k + d[a] * t)), value);
+      }
+      return;
+    }
+
+    const r = radius * scale;
+    const lengthSq = d[0] * d[0] + d[1] * d[1] + d[2] * d[2];
+    VoxelShapes.fillWhere(grid, p0.map((k, a) => Math.min(k, p1[a]) - r), p0.map((k, a) => Math.max(k, p1[a]) + r), (p) => {
+      const t = lengthSq > 0
+        ? Math.max(0, Math.min(1, ((p[0] - p0[0]) * d[0] + (p[1] - p0[1]) * d[1] + (p[2] - p0[2]) * d[2]) / lengthSq))
+        : 0;
+      let distSq = 0;
+      for (let a = 0; a < 3; a++) distSq += (p[a] - (p0[a] + d[a] * t)) ** 2;
+      return distSq <= r * r;
+    }, value);
+  },
+
+  // 2D polygon of [u, v] points extruded from `from` to `to` along
+  // options.axis; u and v are the other two axes in x, y, z order
+  extrude: (grid, points, from, to, value, options = {}) => {
+    const [a, u, v] = VoxelShapes.axes(options.axis || 'z');
+    const scale = VoxelShapes.scale(grid);
+    const polygon = points.map(([pu, pv]) => [pu * scale, pv * scale]);
+    const min = [0, 0, 0];
+    const max = [0, 0, 0];
+    min[a] = Math.min(from, to) * scale;
+    max[a] = Math.max(from, to) * scale;
+    min[u] = Math.min(...polygon.map(p => p[0]));
+    max[u] = Math.max(...polygon.map(p => p[0]));
+    min[v] = Math.min(...polygon.map(p => p[1]));
+    max[v] = Math.max(...polygon.map(p => p[1]));
+    VoxelShapes.fillWhere(grid, min, max, (p) => {
+      // Even-odd crossing test
+      let inside = false;
+      for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [ui, vi] = polygon[i];
+        const [uj, vj] = polygon[j];
+        if ((vi > p[v]) !== (vj > p[v]) && p[u] < ((uj - ui) * (p[v] - vi)) / (vj - vi) + ui) {
+          inside = !inside;
+        }
       }
+      return inside;
+    }, value);
+  },
+
+  // Replace the 6-connected region sharing the seed cell's value. The seed
+  // is a 32-unit position; returns the number of cells filled.
+  floodFill: (grid, x, y, z, value) => {
+    const scale = VoxelShapes.scale(grid);
+    const seed = [x, y, z].map(k => Math.floor(k * scale));
+    const dims = [grid.width, grid.height, grid.depth];
+    if (seed.some((k, a) => k < 0 || k >= dims[a])) return 0;
+    const target = VoxelEngine.getVoxel(grid, ...seed);
+    if (target === value) return 0;
+
+    const neighbors = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+    const stack = [seed];
+    VoxelEngine.setVoxel(grid, ...seed, value);
+    let filled = 1;
+    while (stack.length > 0) {
+      const cell = stack.pop();
+      neighbors.forEach((n) => {
+        const next = [cell[0] + n[0], cell[1] + n[1], cell[2] + n[2]];
+        if (next.some((k, a) => k < 0 || k >= dims[a])) return;
+        if (VoxelEngine.getVoxel(grid, ...next) !== target) return;
+        VoxelEngine.setVoxel(grid, ...next, value);
+        filled++;
+        stack.push(next);
+      });
     }
+    return filled;
+  },
+
+  // Empty grid like `grid` with draw(layer) applied, for use as a CSG operand
+  layer: (grid, draw) => {
+    const layer = VoxelEngine.createGridLike(grid);
+    draw(layer);
+    return layer;
+  },
 
-    return { vertices, faces, colors, size, symmetric };
+  // Boolean operations writing into target. source is read at the same
+  // cells, shifted by options.offset (32-unit [x, y, z]) when given.
+  csgOffset: (target, options = {}) => {
+    const scale = VoxelShapes.scale(target);
+    return (options.offset || [0, 0, 0]).map(k => Math.round(k * scale));
+  },
+
+  // Add every filled source cell, keeping its color
+  union: (target, source, options = {}) => {
+    const [ox, oy, oz] = VoxelShapes.csgOffset(target, options);
+    VoxelEngine.forEachVoxel(source, (x, y, z, voxel) => {
+      VoxelEngine.setVoxel(target, x + ox, y + oy, z + oz, voxel);
+    });
+    return target;
+  },
+
+  // Clear target cells that are filled in source
+  subtract: (target, source, options = {}) => {
+    const [ox, oy, oz] = VoxelShapes.csgOffset(target, options);
+    VoxelEngine.forEachVoxel(source, (x, y, z) => {
+      VoxelEngine.setVoxel(target, x + ox, y + oy, z + oz, 0);
+    });
+    return target;
+  },
+
+  // Keep only target cells that are also filled in source
+  intersect: (target, source, options = {}) => {
+    const [ox, oy, oz] = VoxelShapes.csgOffset(target, options);
+    const cleared = [];
+    VoxelEngine.forEachVoxel(target, (x, y, z) => {
+      if (VoxelEngine.getVoxel(source, x - ox, y - oy, z - oz) === 0) cleared.push([x, y, z]);
+    });
+    cleared.forEach(([x, y, z]) => VoxelEngine.setVoxel(target, x, y, z, 0));
+    return target;
   }
 };
 
@@ -197,36 +925,22 @@ const VoxelEngine = {
 const VoxelModels = {
   // Human figure - SYMMETRIC (only define left half)
   human: (grid) => {
-    const s = grid.size;
-    const scale = s / 32;
-    const center = s / 2;
-    
     // Mark as symmetric - we only define the LEFT half
     grid.symmetric = true;
     
-    const drawBox = (x1, y1, z1, x2, y2, z2, color) => {
-      for (let x = Math.floor(x1 * scale); x < Math.floor(x2 * scale); x++) {
-        for (let y = Math.floor(y1 * scale); y < Math.floor(y2 * scale); y++) {
-          for (let z = Math.floor(z1 * scale); z < Math.floor(z2 * scale); z++) {
-            VoxelEngine.setVoxel(grid, x, y, z, color);
-          }
-        }
-      }
-    };
-    
     // Only define LEFT half (will be mirrored)
     // Head (left half only - x from 13 to 16 for a 32-unit model)
-    drawBox(13, 24, 13, 16, 32, 19, 1);
+    VoxelShapes.box(grid, 13, 24, 13, 16, 32, 19, 1);
     // Torso (left half)
-    drawBox(11, 12, 12, 16, 24, 20, 2);
+    VoxelShapes.box(grid, 11, 12, 12, 16, 24, 20, 2);
     // Left arm (only left side)
-    drawBox(6, 12, 13, 11, 24, 19, 2);
-    drawBox(6, 8, 13, 11, 12, 19, 1);
+    VoxelShapes.box(grid, 6, 12, 13, 11, 24, 19, 2);
+    VoxelShapes.box(grid, 6, 8, 13, 11, 12, 19, 1);
     // Left leg
-    drawBox(11, 0, 13, 16, 12, 19, 3);
+    VoxelShapes.box(grid, 11, 0, 13, 16, 12, 19, 3);
     // Hair (left half)
-    drawBox(13, 28, 12, 16, 32, 13, 4);
-    drawBox(12, 28, 13, 13, 32, 19, 4);
+    VoxelShapes.box(grid, 13, 28, 12, 16, 32, 13, 4);
+    VoxelShapes.box(grid, 12, 28, 13, 13, 32, 19, 4);
 
     // Mirror to create right side
     VoxelEngine.mirrorGrid(grid);
@@ -235,102 +949,62 @@ const VoxelModels = {
 
   // Robot - SYMMETRIC
   robot: (grid) => {
-    const s = grid.size;
-    const scale = s / 32;
-    
     grid.symmetric = true;
     
-    const drawBox = (x1, y1, z1, x2, y2, z2, color) => {
-      for (let x = Math.floor(x1 * scale); x < Math.floor(x2 * scale); x++) {
-        for (let y = Math.floor(y1 * scale); y < Math.floor(y2 * scale); y++) {
-          for (let z = Math.floor(z1 * scale); z < Math.floor(z2 * scale); z++) {
-            VoxelEngine.setVoxel(grid, x, y, z, color);
-          }
-        }
-      }
-    };
-
     // Only left half
     // Head (left half)
-    drawBox(12, 24, 12, 16, 32, 20, 16);
+    VoxelShapes.box(grid, 12, 24, 12, 16, 32, 20, 16);
     // Left eye
-    drawBox(13, 27, 11, 15, 29, 12, 13);
+    VoxelShapes.box(grid, 13, 27, 11, 15, 29, 12, 13);
     // Torso (left half)
-    drawBox(10, 10, 10, 16, 24, 22, 16);
+    VoxelShapes.box(grid, 10, 10, 10, 16, 24, 22, 16);
     // Core (left half)
-    drawBox(14, 14, 9, 16, 20, 10, 17);
+    VoxelShapes.box(grid, 14, 14, 9, 16, 20, 10, 17);
     // Left arm
-    drawBox(4, 10, 12, 10, 24, 20, 16);
-    drawBox(4, 6, 13, 10, 10, 19, 12);
+    VoxelShapes.box(grid, 4, 10, 12, 10, 24, 20, 16);
+    VoxelShapes.box(grid, 4, 6, 13, 10, 10, 19, 12);
     // Left leg
-    drawBox(10, 0, 12, 15, 10, 20, 16);
+    VoxelShapes.box(grid, 10, 0, 12, 15, 10, 20, 16);
     // Antenna (left half)
-    drawBox(15, 32, 15, 16, 36, 17, 12);
-    drawBox(14, 36, 14, 16, 38, 18, 17);
+    VoxelShapes.box(grid, 15, 32, 15, 16, 36, 17, 12);
+    VoxelShapes.box(grid, 14, 36, 14, 16, 38, 18, 17);
 
     VoxelEngine.mirrorGrid(grid);
     return grid;
   },
 
-  // Car - SYMMETRIC (front-back axis, mirrored on X)
+  // Car - SYMMETRIC (mirrored on X and front-back on Z)
   car: (grid) => {
-    const s = grid.size;
-    const scale = s / 32;
-    
     grid.symmetric = true;
+    grid.symmetry = { x: true, z: true };
     
-    const drawBox = (x1, y1, z1, x2, y2, z2, color) => {
-      for (let x = Math.floor(x1 * scale); x < Math.floor(x2 * scale); x++) {
-        for (let y = Math.floor(y1 * scale); y < Math.floor(y2 * scale); y++) {
-          for (let z = Math.floor(z1 * scale); z < Math.floor(z2 * scale); z++) {
-            VoxelEngine.setVoxel(grid, x, y, z, color);
-          }
-        }
-      }
-    };
-
-    // Left half only
+    // Left-front quarter only
     // Body
-    drawBox(4, 4, 10, 16, 10, 22, 9);
+    VoxelShapes.box(grid, 4, 4, 10, 16, 10, 16, 9);
     // Cabin
-    drawBox(10, 10, 11, 16, 16, 21, 10);
-    // Windows
-    drawBox(11, 11, 11, 16, 15, 12, 11);
-    drawBox(11, 11, 20, 16, 15, 21, 11);
-    // Left wheels
-    drawBox(6, 2, 8, 10, 6, 12, 12);
-    drawBox(6, 2, 20, 10, 6, 24, 12);
+    VoxelShapes.box(grid, 10, 10, 11, 16, 16, 16, 10);
+    // Window
+    VoxelShapes.box(grid, 11, 11, 11, 16, 15, 12, 11);
+    // Wheel
+    VoxelShapes.box(grid, 6, 2, 8, 10, 6, 12, 12);
     // Headlight
-    drawBox(4, 6, 12, 5, 8, 14, 13);
-    drawBox(4, 6, 18, 5, 8, 20, 13);
+    VoxelShapes.box(grid, 4, 6, 12, 5, 8, 14, 13);
 
     VoxelEngine.mirrorGrid(grid);
     return grid;
   },
 
-  // Tree - SYMMETRIC
+  // Tree - SYMMETRIC (4-fold around the trunk)
   tree: (grid) => {
-    const s = grid.size;
-    const scale = s / 32;
-    
     grid.symmetric = true;
+    grid.symmetry = { radial: 4 };
     
-    const drawBox = (x1, y1, z1, x2, y2, z2, color) => {
-      for (let x = Math.floor(x1 * scale); x < Math.floor(x2 * scale); x++) {
-        for (let y = Math.floor(y1 * scale); y < Math.floor(y2 * scale); y++) {
-          for (let z = Math.floor(z1 * scale); z < Math.floor(z2 * scale); z++) {
-            VoxelEngine.setVoxel(grid, x, y, z, color);
-          }
-        }
-      }
-    };
-
-    // Trunk (left half)
-    drawBox(14, 0, 14, 16, 16, 18, 7);
-    // Foliage layers (left half)
-    drawBox(8, 16, 8, 16, 22, 24, 8);
-    drawBox(10, 22, 10, 16, 28, 22, 8);
-    drawBox(12, 28, 12, 16, 32, 20, 8);
+    // Trunk (one quarter)
+    VoxelShapes.box(grid, 14, 0, 14, 16, 16, 16, 7);
+    // Foliage layers (one quarter)
+    VoxelShapes.box(grid, 8, 16, 8, 16, 22, 16, 8);
+    VoxelShapes.box(grid, 10, 22, 10, 16, 28, 16, 8);
+    VoxelShapes.box(grid, 12, 28, 12, 16, 32, 16, 8);
 
     VoxelEngine.mirrorGrid(grid);
     return grid;
@@ -338,33 +1012,20 @@ const VoxelModels = {
 
   // House - SYMMETRIC
   house: (grid) => {
-    const s = grid.size;
-    const scale = s / 32;
-    
     grid.symmetric = true;
     
-    const drawBox = (x1, y1, z1, x2, y2, z2, color) => {
-      for (let x = Math.floor(x1 * scale); x < Math.floor(x2 * scale); x++) {
-        for (let y = Math.floor(y1 * scale); y < Math.floor(y2 * scale); y++) {
-          for (let z = Math.floor(z1 * scale); z < Math.floor(z2 * scale); z++) {
-            VoxelEngine.setVoxel(grid, x, y, z, color);
-          }
-        }
-      }
-    };
-
     // Main structure (left half)
-    drawBox(4, 0, 8, 16, 18, 24, 14);
+    VoxelShapes.box(grid, 4, 0, 8, 16, 18, 24, 14);
     // Hollow interior (left half)
-    drawBox(6, 0, 10, 16, 16, 22, 0);
+    VoxelShapes.box(grid, 6, 0, 10, 16, 16, 22, 0);
     // Roof (left half)
     for (let i = 0; i < 8; i++) {
-      drawBox(4 + i, 18 + i, 6, 16, 20 + i, 26, 15);
+      VoxelShapes.box(grid, 4 + i, 18 + i, 6, 16, 20 + i, 26, 15);
     }
     // Door (centered, left half)
-    drawBox(14, 0, 7, 16, 10, 8, 7);
+    VoxelShapes.box(grid, 14, 0, 7, 16, 10, 8, 7);
     // Window (left only)
-    drawBox(7, 8, 7, 11, 14, 8, 11);
+    VoxelShapes.box(grid, 7, 8, 7, 11, 14, 8, 11);
 
     VoxelEngine.mirrorGrid(grid);
     return grid;
@@ -386,42 +1047,976 @@ const VoxelModels = {
     return grid;
   },
 
+  // Torch - NOT symmetric (flame animates with VoxelSequences.flicker)
+  torch: (grid) => {
+    grid.symmetric = false;
+    VoxelShapes.cylinder(grid, [8, 0, 8], 1.5, 18, 7);
+    VoxelShapes.cone(grid, [8, 18, 8], 3, 2, 12, { axis: 'y', topRadius: 4 });
+    VoxelShapes.cone(grid, [8, 20, 8], 3, 8, 13);
+    VoxelShapes.cone(grid, [8, 20, 8], 1.5, 4, 5);
+    return grid;
+  },
+
   // Sphere - NOT symmetric (computed shape)
   sphere: (grid) => {
-    const s = grid.size;
-    const center = s / 2;
-    const radius = s * 0.4;
     grid.symmetric = false;
-    
-    for (let x = 0; x < s; x++) {
-      for (let y = 0; y < s; y++) {
-        for (let z = 0; z < s; z++) {
-          const dx = x - center + 0.5;
-          const dy = y - center + 0.5;
-          const dz = z - center + 0.5;
-          if (dx * dx + dy * dy + dz * dz <= radius * radius) {
-            VoxelEngine.setVoxel(grid, x, y, z, 6);
-          }
-        }
-      }
-    }
+    VoxelShapes.sphere(grid, [16, 16, 16], 12.8, 6);
     return grid;
   }
 };
 
 // ============================================================================
-// SVGA COLOR PALETTES
+// PROCEDURAL GENERATORS
 // ============================================================================
 
-const ColorPalettes = {
-  default: {
-    1: { base: '#FFD5B8', highlight: '#FFF0E0', shadow: '#C9A088' },
-    2: { base: '#4A90D9', highlight: '#7AB8FF', shadow: '#2A5080' },
-    3: { base: '#3D5C8C', highlight: '#5A80B0', shadow: '#253850' },
-    4: { base: '#4A3728', highlight: '#6B5040', shadow: '#2A1F18' },
-    5: { base: '#E8E8E8', highlight: '#FFFFFF', shadow: '#B0B0B0' },
-    6: { base: '#FF6B6B', highlight: '#FF9999', shadow: '#CC4444' },
-    7: { base: '#8B5A2B', highlight: '#A67B4B', shadow: '#5C3A1B' },
+// Seeded helpers shared by the generators. A generator is
+// { label, palette, bounds, symmetric, params, build(grid, params, random) }
+// where params is a schema: { key: { type: 'number', min, max, step, default }
+// | { type: 'boolean', default } | { type: 'select', options, default } }.
+const Procedural = {
+  // mulberry32; string seeds are hashed (FNV-1a) first
+  random: (seed = 1) => {
+    let state = typeof seed === 'string'
+      ? [...seed].reduce((h, ch) => Math.imul(h ^ ch.charCodeAt(0), 16777619), 2166136261)
+      : Math.floor(seed);
+    state >>>= 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  },
+
+  range: (random, min, max) => min + (max - min) * random(),
+
+  // Integer in [min, max]
+  int: (random, min, max) => min + Math.floor(random() * (max - min + 1)),
+
+  pick: (random, list) => list[Math.floor(random() * list.length)],
+
+  defaults: (schema) => Object.fromEntries(
+    Object.entries(schema).map(([key, spec]) => [key, spec.default])
+  ),
+
+  // Schema defaults overlaid with params, clamped and snapped to each spec
+  resolveParams: (schema, params = {}) => Object.fromEntries(
+    Object.entries(schema).map(([key, spec]) => {
+      const value = params[key];
+      if (spec.type === 'boolean') return [key, typeof value === 'boolean' ? value : spec.default];
+      if (spec.type === 'select') return [key, spec.options.includes(value) ? value : spec.default];
+      if (typeof value !== 'number' || Number.isNaN(value)) return [key, spec.default];
+      const step = spec.step || 0;
+      // Rounded so fractional steps don't show float noise (0.30000000000000004)
+      const snapped = step > 0 ? Math.round((spec.min + Math.round((value - spec.min) / step) * step) * 1e6) / 1e6 : value;
+      return [key, Math.min(spec.max, Math.max(spec.min, snapped))];
+    })
+  ),
+
+  // Fill grid from a generator; options are { seed, ...params }
+  generate: (generator, grid, options = {}) => {
+    const { seed = 1, ...params } = options;
+    generator.build(grid, Procedural.resolveParams(generator.params, params), Procedural.random(seed));
+    return grid;
+  },
+
+  // ModelRegistry entry whose build(grid, options) runs the generator
+  toModelEntry: (name, generator) => ({
+    name,
+    label: generator.label,
+    symmetric: !!generator.symmetric,
+    palette: generator.palette || 'default',
+    bounds: generator.bounds,
+    params: generator.params,
+    build: (grid, options) => Procedural.generate(generator, grid, options)
+  })
+};
+
+// Generators work in the same 32-unit space as VoxelModels and draw with
+// VoxelShapes, so every seed scales to any resolution
+const VoxelGenerators = {
+  tree: {
+    label: 'Tree',
+    bounds: [32, 32, 32],
+    params: {
+      height: { type: 'number', label: 'Height', min: 12, max: 30, step: 1, default: 22 },
+      trunk: { type: 'number', label: 'Trunk Radius', min: 1, max: 3, step: 0.5, default: 1.5 },
+      branchiness: { type: 'number', label: 'Branchiness', min: 0, max: 1, step: 0.1, default: 0.5 },
+      canopy: { type: 'select', label: 'Canopy', options: ['round', 'conifer'], default: 'round' }
+    },
+    build: (grid, params, random) => {
+      const { height, trunk, branchiness, canopy } = params;
+      const R = Procedural.range;
+
+      if (canopy === 'conifer') {
+        VoxelShapes.cylinder(grid, [16, 0, 16], trunk, height, 7);
+        const tiers = 2 + Math.round(branchiness * 3);
+        const start = height * 0.25;
+        const tierHeight = (height - start) / tiers;
+        for (let i = 0; i < tiers; i++) {
+          const radius = (13 - trunk) * (1 - i / (tiers + 1)) * R(random, 0.85, 1);
+          VoxelShapes.cone(grid, [16, start + i * tierHeight * 0.9, 16], radius, tierHeight * 1.6, 8);
+        }
+        return;
+      }
+
+      const trunkTop = height * 0.65;
+      VoxelShapes.cylinder(grid, [16, 0, 16], trunk, trunkTop, 7);
+      const crown = Math.min(9, height - trunkTop);
+      const ends = [[16, Math.min(32 - crown, height - crown * 0.8), 16]];
+      const branches = Math.round(branchiness * 6);
+      for (let i = 0; i < branches; i++) {
+        const angle = (i / branches) * Math.PI * 2 + R(random, -0.4, 0.4);
+        const y = R(random, height * 0.35, trunkTop);
+        const reach = R(random, 5, 9);
+        const end = [16 + Math.cos(angle) * reach, Math.min(29, y + R(random, 2, 5)), 16 + Math.sin(angle) * reach];
+        VoxelShapes.line(grid, [16, y, 16], end, 7, { radius: Math.max(0.6, trunk * 0.5) });
+        ends.push(end);
+      }
+      ends.forEach(([x, y, z], i) => {
+        const radius = i === 0 ? crown : R(random, 3, 5);
+        VoxelShapes.sphere(grid, [x, y, z], Math.min(radius, 31.5 - y), 8);
+      });
+    }
+  },
+
+  rock: {
+    label: 'Rock',
+    palette: 'default',
+    bounds: [32, 24, 32],
+    params: {
+      size: { type: 'number', label: 'Size', min: 6, max: 14, step: 1, default: 10 },
+      lumps: { type: 'number', label: 'Lumps', min: 1, max: 6, step: 1, default: 3 },
+      roughness: { type: 'number', label: 'Roughness', min: 0, max: 1, step: 0.1, default: 0.4 },
+      moss: { type: 'boolean', label: 'Moss', default: false }
+    },
+    build: (grid, params, random) => {
+      const { size, lumps, roughness, moss } = params;
+      const R = Procedural.range;
+      for (let i = 0; i < lumps; i++) {
+        const radii = [size * R(random, 0.6, 1), size * R(random, 0.4, 0.75), size * R(random, 0.6, 1)];
+        const center = [16 + R(random, -0.35, 0.35) * size, radii[1] * 0.5, 16 + R(random, -0.35, 0.35) * size];
+        VoxelShapes.ellipsoid(grid, center, radii, i % 3 === 2 ? 12 : 16);
+      }
+      // Chip the surface with small carved spheres
+      const chips = Math.round(roughness * 24);
+      for (let i = 0; i < chips; i++) {
+        const angle = R(random, 0, Math.PI * 2);
+        const reach = size * R(random, 0.6, 1);
+        const center = [16 + Math.cos(angle) * reach, R(random, 0, size * 0.8), 16 + Math.sin(angle) * reach];
+        VoxelShapes.sphere(grid, center, R(random, 1, 2.5), 0);
+      }
+      if (moss) {
+        const top = VoxelShapes.layer(grid, layer => VoxelShapes.box(layer, 0, size * 0.55, 0, 32, 24, 32, 1));
+        const recolor = [];
+        VoxelEngine.forEachVoxel(top, (x, y, z) => {
+          if (VoxelEngine.getVoxel(grid, x, y, z) !== 0 && VoxelEngine.getVoxel(grid, x, y + 1, z) === 0) {
+            recolor.push([x, y, z]);
+          }
+        });
+        recolor.forEach(([x, y, z]) => VoxelEngine.setVoxel(grid, x, y, z, 8));
+      }
+    }
+  },
+
+  building: {
+    label: 'Building',
+    bounds: [32, 40, 32],
+    params: {
+      floors: { type: 'number', label: 'Floors', min: 1, max: 6, step: 1, default: 3 },
+      width: { type: 'number', label: 'Width', min: 10, max: 28, step: 2, default: 20 },
+      depth: { type: 'number', label: 'Depth', min: 10, max: 28, step: 2, default: 16 },
+      windows: { type: 'number', label: 'Windows Per Floor', min: 0, max: 6, step: 1, default: 3 },
+      roof: { type: 'select', label: 'Roof', options: ['flat', 'gable'], default: 'gable' }
+    },
+    build: (grid, params, random) => {
+      const { floors, width, depth, windows, roof } = params;
+      const floorHeight = 5;
+      const x1 = 16 - width / 2;
+      const x2 = 16 + width / 2;
+      const z1 = 16 - depth / 2;
+      const z2 = 16 + depth / 2;
+      const top = floors * floorHeight;
+      const wall = Procedural.pick(random, [14, 10, 5, 16]);
+
+      VoxelShapes.box(grid, x1, 0, z1, x2, top, z2, wall);
+      VoxelShapes.box(grid, x1 + 1, 1, z1 + 1, x2 - 1, top - 1, z2 - 1, 0);
+
+      // Windows on front and back, some lit
+      const spacing = width / (windows + 1);
+      for (let f = 0; f < floors; f++) {
+        for (let w = 1; w <= windows; w++) {
+          const x = x1 + spacing * w;
+          if (f === 0 && Math.abs(x - 16) < 2) continue;
+          const color = random() < 0.3 ? 13 : 11;
+          VoxelShapes.box(grid, x - 1, f * floorHeight + 2, z1, x + 1, f * floorHeight + 4, z1 + 1, color);
+          VoxelShapes.box(grid, x - 1, f * floorHeight + 2, z2 - 1, x + 1, f * floorHeight + 4, z2, color);
+        }
+      }
+      // Door
+      VoxelShapes.box(grid, 15, 0, z1, 17, 4, z1 + 1, 7);
+
+      if (roof === 'gable') {
+        const peak = Math.min(40 - top, width / 2);
+        VoxelShapes.extrude(grid, [[x1 - 1, top], [x2 + 1, top], [16, top + peak]], z1 - 1, z2 + 1, 15);
+      } else {
+        VoxelShapes.box(grid, x1, top, z1, x2, top + 1, z2, 12);
+      }
+    }
+  },
+
+  crate: {
+    label: 'Crate',
+    bounds: [32, 32, 32],
+    params: {
+      size: { type: 'number', label: 'Size', min: 6, max: 14, step: 1, default: 10 },
+      count: { type: 'number', label: 'Count', min: 1, max: 4, step: 1, default: 2 },
+      planks: { type: 'number', label: 'Planks', min: 2, max: 6, step: 1, default: 3 },
+      bands: { type: 'boolean', label: 'Metal Bands', default: true }
+    },
+    build: (grid, params, random) => {
+      const { size, count, planks, bands } = params;
+      const half = size / 2;
+      // Crate offsets in half-sizes across and whole sizes up
+      const layouts = [
+        [[0, 0, 0]],
+        [[-1, 0, 0], [1, 0, 0]],
+        [[-1, 0, 0], [1, 0, 0], [0, 1, 0]],
+        [[-1, 0, -1], [1, 0, -1], [-1, 0, 1], [1, 0, 1]]
+      ];
+      layouts[count - 1].forEach(([ox, oy, oz], i) => {
+        const jitter = () => (i === 0 ? 0 : Procedural.range(random, -1, 1));
+        const x1 = Math.max(0, Math.min(32 - size, 16 - half + ox * half + jitter()));
+        const z1 = Math.max(0, Math.min(32 - size, 16 - half + oz * half + jitter()));
+        const y1 = oy * size;
+        const x2 = x1 + size;
+        const y2 = y1 + size;
+        const z2 = z1 + size;
+        VoxelShapes.box(grid, x1, y1, z1, x2, y2, z2, 14);
+        // Plank seams around the sides
+        for (let k = 1; k < planks; k++) {
+          const y = y1 + (size * k) / planks;
+          VoxelShapes.box(grid, x1, y, z1, x2, y + 1, z1 + 1, 15);
+          VoxelShapes.box(grid, x1, y, z2 - 1, x2, y + 1, z2, 15);
+          VoxelShapes.box(grid, x1, y, z1, x1 + 1, y + 1, z2, 15);
+          VoxelShapes.box(grid, x2 - 1, y, z1, x2, y + 1, z2, 15);
+        }
+        if (bands) {
+          VoxelShapes.box(grid, x1 + 1, y1, z1, x1 + 2, y2, z2, 16);
+          VoxelShapes.box(grid, x2 - 2, y1, z1, x2 - 1, y2, z2, 16);
+        }
+      });
+    }
+  },
+
+  creature: {
+    label: 'Creature',
+    symmetric: true,
+    bounds: [32, 24, 32],
+    params: {
+      length: { type: 'number', label: 'Body Length', min: 8, max: 20, step: 1, default: 14 },
+      legs: { type: 'number', label: 'Leg Pairs', min: 1, max: 4, step: 1, default: 2 },
+      legLength: { type: 'number', label: 'Leg Length', min: 2, max: 8, step: 1, default: 4 },
+      tail: { type: 'boolean', label: 'Tail', default: true },
+      horns: { type: 'boolean', label: 'Horns', default: false }
+    },
+    build: (grid, params, random) => {
+      const { length, legs, legLength, tail, horns } = params;
+      const R = Procedural.range;
+      const skin = Procedural.pick(random, [2, 6, 8, 9, 13, 17]);
+      const bodyY = legLength + 3;
+      const girth = R(random, 3, 5);
+
+      grid.symmetric = true;
+
+      // Body and head are drawn whole and mirrored; legs only on the left
+      VoxelShapes.ellipsoid(grid, [16, bodyY, 16], [girth, girth * 0.9, length / 2], skin);
+      const headZ = 16 - length / 2 - 1;
+      const headR = R(random, 2.5, 4);
+      VoxelShapes.sphere(grid, [16, bodyY + girth * 0.5, headZ], headR, skin);
+      VoxelShapes.box(grid, 16 - headR * 0.7, bodyY + girth * 0.5, headZ - headR, 16 - headR * 0.7 + 1, bodyY + girth * 0.5 + 1, headZ - headR + 1, 5);
+      if (horns) {
+        VoxelShapes.line(grid, [16 - headR * 0.5, bodyY + girth * 0.5 + headR - 0.5, headZ],
+          [16 - headR - 1, bodyY + girth * 0.5 + headR + 3, headZ + 1], 12, { radius: 0.6 });
+      }
+      for (let i = 0; i < legs; i++) {
+        const z = legs === 1 ? 16 : 16 - length * 0.35 + (length * 0.7 * i) / (legs - 1);
+        VoxelShapes.cylinder(grid, [16 - girth * 0.7, 0, z], 1, bodyY, 12);
+      }
+      if (tail) {
+        VoxelShapes.line(grid, [16, bodyY, 16 + length / 2 - 1],
+          [16, Math.min(23, bodyY + R(random, 1, 5)), Math.min(31, 16 + length / 2 + R(random, 3, 6))], skin, { radius: 0.7 });
+      }
+
+      VoxelEngine.mirrorGrid(grid);
+    }
+  }
+};
+
+// ============================================================================
+// ARTICULATED PARTS
+// ============================================================================
+
+// A rig splits a model into named parts:
+// { parts: [{ name, parent, pivot, region | mirror }], animations: { name: (time) => pose } }
+// The first part is the root and keeps every voxel no other part claims.
+// Pivots and regions ([x1, y1, z1, x2, y2, z2]) are in 32-unit space, and a
+// region covers the same cells VoxelShapes.box would draw. mirror: [part, axis]
+// claims the mirror image of another part's region, which stays exact at odd
+// resolutions. Parts are tested in order. A pose maps part names to
+// { rotate: [x, y, z] (radians, about the pivot, X then Y then Z), translate: [x, y, z] }.
+const VoxelParts = {
+  // Part grids cropped to their filled bounds; origin is the crop's corner
+  // in model voxels and pivot is converted to model voxels
+  split: (grid, rig) => {
+    const scale = grid.size / 32;
+    const dims = [grid.width, grid.height, grid.depth];
+    const byName = new Map(rig.parts.map(part => [part.name, part]));
+    const claims = (part, cell, depth = 0) => {
+      if (part.region) {
+        return cell.every((c, a) => c >= Math.floor(part.region[a] * scale) && c < Math.floor(part.region[a + 3] * scale));
+      }
+      if (!part.mirror || depth > rig.parts.length) return false;
+      const [source, axis] = part.mirror;
+      const a = { x: 0, y: 1, z: 2 }[axis];
+      const image = [...cell];
+      image[a] = dims[a] - 1 - image[a];
+      return byName.has(source) && claims(byName.get(source), image, depth + 1);
+    };
+
+    const buckets = rig.parts.map(() => []);
+    VoxelEngine.forEachVoxel(grid, (x, y, z, voxel) => {
+      const cell = [x, y, z];
+      const index = rig.parts.findIndex((part, i) => i > 0 && claims(part, cell));
+      buckets[Math.max(0, index)].push(x, y, z, voxel);
+    });
+
+    return rig.parts.map((part, i) => {
+      const cells = buckets[i];
+      const min = [Infinity, Infinity, Infinity];
+      const max = [-Infinity, -Infinity, -Infinity];
+      for (let k = 0; k < cells.length; k += 4) {
+        for (let a = 0; a < 3; a++) {
+          min[a] = Math.min(min[a], cells[k + a]);
+          max[a] = Math.max(max[a], cells[k + a]);
+        }
+      }
+      const origin = cells.length > 0 ? min : [0, 0, 0];
+      const size = cells.length > 0 ? max.map((m, a) => m - min[a] + 1) : [1, 1, 1];
+      const partGrid = VoxelEngine.createGrid(...size);
+      for (let k = 0; k < cells.length; k += 4) {
+        VoxelEngine.setVoxel(partGrid, cells[k] - origin[0], cells[k + 1] - origin[1], cells[k + 2] - origin[2], cells[k + 3]);
+      }
+      return {
+        name: part.name,
+        parent: part.parent || null,
+        pivot: (part.pivot || [16, 16, 16]).map(p => p * scale),
+        origin,
+        grid: partGrid,
+        voxels: cells.length / 4
+      };
+    });
+  },
+
+  // generateMesh on every part
+  meshParts: (parts, options = {}) => parts.map(part => ({
+    ...part,
+    mesh: VoxelEngine.generateMesh(part.grid, false, options)
+  })),
+
+  // Pose matrix of one part in its parent's space (32-unit translate scaled)
+  localMatrix: (part, transform, scale) => {
+    const { rotate = [0, 0, 0], translate = [0, 0, 0] } = transform || {};
+    const [px, py, pz] = part.pivot;
+    let m = Matrix.translate(-px, -py, -pz);
+    m = Matrix.multiply(Matrix.rotateX(rotate[0]), m);
+    m = Matrix.multiply(Matrix.rotateY(rotate[1]), m);
+    m = Matrix.multiply(Matrix.rotateZ(rotate[2]), m);
+    m = Matrix.multiply(Matrix.translate(px + translate[0] * scale, py + translate[1] * scale, pz + translate[2] * scale), m);
+    return m;
+  },
+
+  // Model-space matrix per part name, composed down the parent chain
+  worldMatrices: (parts, pose = {}, scale = 1) => {
+    const byName = new Map(parts.map(part => [part.name, part]));
+    const world = new Map();
+    const resolve = (part, depth = 0) => {
+      if (world.has(part.name)) return world.get(part.name);
+      if (depth > parts.length) throw new Error(`VoxelParts: parent cycle at "${part.name}"`);
+      const local = VoxelParts.localMatrix(part, pose[part.name], scale);
+      const parent = part.parent && byName.get(part.parent);
+      const matrix = parent ? Matrix.multiply(resolve(parent, depth + 1), local) : local;
+      world.set(part.name, matrix);
+      return matrix;
+    };
+    parts.forEach(part => resolve(part));
+    return world;
+  },
+
+  // One mesh of every part moved into its posed model-space position.
+  // size sets the 32-unit scale and width/height/depth the model bounds.
+  pose: (parts, pose, model) => {
+    const scale = model.size / 32;
+    const world = VoxelParts.worldMatrices(parts, pose, scale);
+    const vertices = [];
+    const faces = [];
+    const colors = [];
+    const occlusion = parts.every(part => part.mesh.occlusion) ? [] : null;
+    parts.forEach((part) => {
+      const { mesh } = part;
+      const m = Matrix.multiply(world.get(part.name), Matrix.translate(...part.origin));
+      const offset = vertices.length / 3;
+      for (let i = 0; i < mesh.vertices.length; i += 3) {
+        vertices.push(...Matrix.transformPoint(m, [mesh.vertices[i], mesh.vertices[i + 1], mesh.vertices[i + 2]]));
+      }
+      for (let i = 0; i < mesh.faces.length; i++) faces.push(mesh.faces[i] + offset);
+      for (let i = 0; i < mesh.colors.length; i++) colors.push(mesh.colors[i]);
+      if (occlusion) for (let i = 0; i < mesh.occlusion.length; i++) occlusion.push(mesh.occlusion[i]);
+    });
+    return {
+      vertices, faces, colors, occlusion,
+      size: model.size, width: model.width, height: model.height, depth: model.depth,
+      symmetric: false, symmetry: null, symmetrySavings: [], parts: parts.length
+    };
+  }
+};
+
+// Rigs for the presets, matching the boxes VoxelModels draws
+const VoxelRigs = {
+  human: {
+    parts: [
+      { name: 'torso', pivot: [16, 12, 16] },
+      { name: 'head', parent: 'torso', pivot: [16, 24, 16], region: [0, 24, 0, 32, 32, 32] },
+      { name: 'armL', parent: 'torso', pivot: [8.5, 23, 16], region: [0, 0, 0, 11, 24, 32] },
+      { name: 'armR', parent: 'torso', pivot: [23.5, 23, 16], mirror: ['armL', 'x'] },
+      { name: 'legL', parent: 'torso', pivot: [13.5, 12, 16], region: [0, 0, 0, 16, 12, 32] },
+      { name: 'legR', parent: 'torso', pivot: [18.5, 12, 16], mirror: ['legL', 'x'] }
+    ],
+    animations: {
+      // One stride per second; arms swing against the legs
+      walk: (time) => {
+        const swing = Math.sin(time * Math.PI * 2) * 0.6;
+        return {
+          torso: { translate: [0, Math.abs(Math.cos(time * Math.PI * 2)) * 0.5, 0] },
+          head: { rotate: [0, swing * 0.15, 0] },
+          legL: { rotate: [swing, 0, 0] },
+          legR: { rotate: [-swing, 0, 0] },
+          armL: { rotate: [-swing * 0.8, 0, 0] },
+          armR: { rotate: [swing * 0.8, 0, 0] }
+        };
+      },
+      wave: (time) => ({
+        armR: { rotate: [0, 0, 2.6 + Math.sin(time * Math.PI * 4) * 0.35] },
+        head: { rotate: [0, 0, Math.sin(time * Math.PI * 2) * 0.1] }
+      })
+    }
+  },
+
+  robot: {
+    parts: [
+      { name: 'torso', pivot: [16, 10, 16] },
+      { name: 'head', parent: 'torso', pivot: [16, 24, 16], region: [0, 24, 0, 32, 38, 32] },
+      { name: 'armL', parent: 'torso', pivot: [7, 23, 16], region: [0, 0, 0, 10, 24, 32] },
+      { name: 'armR', parent: 'torso', pivot: [25, 23, 16], mirror: ['armL', 'x'] },
+      { name: 'legL', parent: 'torso', pivot: [12.5, 10, 16], region: [0, 0, 0, 16, 10, 32] },
+      { name: 'legR', parent: 'torso', pivot: [19.5, 10, 16], mirror: ['legL', 'x'] }
+    ],
+    animations: {
+      // Stiffer, slower gait with a scanning head
+      walk: (time) => {
+        const swing = Math.sin(time * Math.PI * 1.5) * 0.4;
+        return {
+          head: { rotate: [0, Math.sin(time * Math.PI * 0.75) * 0.5, 0] },
+          legL: { rotate: [swing, 0, 0] },
+          legR: { rotate: [-swing, 0, 0] },
+          armL: { rotate: [-swing, 0, 0] },
+          armR: { rotate: [swing, 0, 0] }
+        };
+      }
+    }
+  },
+
+  car: {
+    parts: [
+      { name: 'body', pivot: [16, 8, 16] },
+      { name: 'wheelFL', parent: 'body', pivot: [8, 4, 10], region: [6, 2, 8, 10, 6, 12] },
+      { name: 'wheelFR', parent: 'body', pivot: [24, 4, 10], mirror: ['wheelFL', 'x'] },
+      { name: 'wheelRL', parent: 'body', pivot: [8, 4, 22], mirror: ['wheelFL', 'z'] },
+      { name: 'wheelRR', parent: 'body', pivot: [24, 4, 22], mirror: ['wheelRL', 'x'] }
+    ],
+    animations: {
+      // Front is -Z; wheel tops roll forward, with a little body bounce
+      drive: (time) => {
+        const spin = { rotate: [-time * Math.PI * 2, 0, 0] };
+        return {
+          body: { translate: [0, Math.sin(time * Math.PI * 6) * 0.15, 0] },
+          wheelFL: spin,
+          wheelFR: spin,
+          wheelRL: spin,
+          wheelRR: spin
+        };
+      }
+    }
+  },
+
+  tree: {
+    parts: [
+      { name: 'trunk', pivot: [16, 0, 16] },
+      { name: 'crown', parent: 'trunk', pivot: [16, 16, 16], region: [0, 16, 0, 32, 32, 32] }
+    ],
+    animations: {
+      sway: (time) => ({
+        trunk: { rotate: [0, 0, Math.sin(time * Math.PI * 0.8) * 0.03] },
+        crown: { rotate: [Math.sin(time * Math.PI * 1.1) * 0.04, 0, Math.sin(time * Math.PI * 0.8) * 0.06] }
+      })
+    }
+  }
+};
+
+// ============================================================================
+// FRAME ANIMATION
+// ============================================================================
+
+// Frame-by-frame voxel animation. A sequence starts from a base grid; each
+// frame is either a whole grid or a diff against the frame before it, and
+// holds for `hold` ticks of 1 / fps seconds. Frame grids and meshes are
+// built on first use and cached.
+const VoxelAnimation = {
+  create: (base, options = {}) => {
+    const { fps = 8, loop = true } = options;
+    return { base, frames: [], fps, loop, grids: new Map(), meshes: new Map() };
+  },
+
+  // frame is a grid, or a diff: [[x, y, z, value], ...] against the
+  // previous frame (the base grid for the first frame)
+  addFrame: (animation, frame, options = {}) => {
+    const { hold = 1 } = options;
+    const entry = Array.isArray(frame)
+      ? { grid: null, changes: frame.flat(), hold }
+      : { grid: frame, changes: null, hold };
+    animation.frames.push(entry);
+    return animation;
+  },
+
+  // Sum of all holds, in ticks
+  length: (animation) => animation.frames.reduce((sum, frame) => sum + frame.hold, 0),
+
+  // First tick of a frame
+  frameStart: (animation, index) => {
+    let tick = 0;
+    for (let i = 0; i < index; i++) tick += animation.frames[i].hold;
+    return tick;
+  },
+
+  // Frame shown at a tick; wraps when looping, otherwise holds the last frame
+  frameAt: (animation, tick, loop = animation.loop) => {
+    const total = VoxelAnimation.length(animation);
+    if (total === 0) return 0;
+    let t = loop ? ((tick % total) + total) % total : Math.min(Math.max(0, tick), total - 1e-9);
+    for (let i = 0; i < animation.frames.length; i++) {
+      t -= animation.frames[i].hold;
+      if (t < 0) return i;
+    }
+    return animation.frames.length - 1;
+  },
+
+  copyGrid: (grid) => {
+    const copy = VoxelEngine.createGridLike(grid);
+    VoxelEngine.forEachVoxel(grid, (x, y, z, voxel) => VoxelEngine.setVoxel(copy, x, y, z, voxel));
+    return copy;
+  },
+
+  // Grid for a frame, replaying diffs from the nearest cached or whole frame.
+  // Diff frames are fresh copies, so they carry no symmetry.
+  getFrame: (animation, index) => {
+    const { frames, grids } = animation;
+    if (index < 0 || index >= frames.length) {
+      throw new Error(`VoxelAnimation: no frame ${index}`);
+    }
+
+    let grid = animation.base;
+    let first = 0;
+    for (let i = index; i >= 0; i--) {
+      if (grids.has(i)) {
+        grid = grids.get(i);
+        first = i + 1;
+        break;
+      }
+      if (frames[i].grid) {
+        first = i;
+        break;
+      }
+    }
+
+    for (let i = first; i <= index; i++) {
+      const frame = frames[i];
+      if (frame.grid) {
+        grid = frame.grid;
+      } else {
+        grid = VoxelAnimation.copyGrid(grid);
+        for (let k = 0; k < frame.changes.length; k += 4) {
+          VoxelEngine.setVoxel(grid, frame.changes[k], frame.changes[k + 1], frame.changes[k + 2], frame.changes[k + 3]);
+        }
+      }
+      grids.set(i, grid);
+    }
+    return grid;
+  },
+
+  // generateMesh for a frame, once per frame and option set
+  meshFrame: (animation, index, options = {}) => {
+    const { symmetry = true, greedy = false, ao = false } = options;
+    const key = `${index}:${symmetry}:${greedy}:${ao}`;
+    if (!animation.meshes.has(key)) {
+      const grid = VoxelAnimation.getFrame(animation, index);
+      animation.meshes.set(key, VoxelEngine.generateMesh(grid, symmetry, { greedy, ao }));
+    }
+    return animation.meshes.get(key);
+  },
+
+  // Drop cached grids and meshes, e.g. after editing the base grid
+  invalidate: (animation) => {
+    animation.grids.clear();
+    animation.meshes.clear();
+  }
+};
+
+// Sequences for the presets: (grid) => animation, built from the model's grid
+const VoxelSequences = {
+  torch: {
+    // Random flame shapes from a fixed seed, as whole frames
+    flicker: (grid) => {
+      const animation = VoxelAnimation.create(grid, { fps: 10 });
+      const random = Procedural.random(7);
+      for (let i = 0; i < 8; i++) {
+        const frame = VoxelAnimation.copyGrid(grid);
+        VoxelShapes.box(frame, 0, 20, 0, 16, 32, 16, 0);
+        const height = Procedural.range(random, 6, 10);
+        const lean = [Procedural.range(random, -1, 1), 0, Procedural.range(random, -1, 1)];
+        VoxelShapes.cone(frame, [8, 20, 8], Procedural.range(random, 2.6, 3.4), height, 6);
+        VoxelShapes.cone(frame, [8 + lean[0] * 0.5, 20, 8 + lean[2] * 0.5], 2.4, height * 0.8, 13);
+        VoxelShapes.cone(frame, [8, 20, 8], 1.5, height * 0.45, 5);
+        VoxelShapes.line(frame, [8, 20 + height * 0.6, 8], [8 + lean[0] * 2, 20 + height + 1.5, 8 + lean[2] * 2], 6);
+        VoxelAnimation.addFrame(animation, frame, { hold: Procedural.int(random, 1, 2) });
+      }
+      return animation;
+    }
+  },
+
+  robot: {
+    // Eye voxels (color 13) go dark for a few ticks, as diffs
+    blink: (grid) => {
+      const animation = VoxelAnimation.create(grid, { fps: 12 });
+      const eyes = [];
+      VoxelEngine.forEachVoxel(grid, (x, y, z, voxel) => {
+        if (voxel === 13) eyes.push([x, y, z]);
+      });
+      VoxelAnimation.addFrame(animation, [], { hold: 24 });
+      VoxelAnimation.addFrame(animation, eyes.map(([x, y, z]) => [x, y, z, 12]), { hold: 2 });
+      VoxelAnimation.addFrame(animation, eyes.map(([x, y, z]) => [x, y, z, 13]), { hold: 6 });
+      VoxelAnimation.addFrame(animation, eyes.map(([x, y, z]) => [x, y, z, 12]), { hold: 2 });
+      VoxelAnimation.addFrame(animation, eyes.map(([x, y, z]) => [x, y, z, 13]), { hold: 1 });
+      return animation;
+    }
+  },
+
+  tree: {
+    // Grows from the ground up, one slice of the model per frame
+    grow: (grid) => {
+      const animation = VoxelAnimation.create(grid, { fps: 8 });
+      const steps = 12;
+      for (let i = 1; i <= steps; i++) {
+        const limit = (grid.height * i) / steps;
+        const frame = VoxelEngine.createGridLike(grid);
+        frame.symmetric = grid.symmetric;
+        frame.symmetry = grid.symmetry;
+        VoxelEngine.forEachVoxel(grid, (x, y, z, voxel) => {
+          if (y < limit) VoxelEngine.setVoxel(frame, x, y, z, voxel);
+        });
+        VoxelAnimation.addFrame(animation, frame, { hold: i === steps ? 16 : 1 });
+      }
+      return animation;
+    }
+  }
+};
+
+// ============================================================================
+// MODEL REGISTRY
+// ============================================================================
+
+const ModelRegistry = {
+  entries: new Map(),
+  listeners: new Set(),
+
+  // Call listener() after every register and unregister; returns the
+  // function that unsubscribes it
+  subscribe: (listener) => {
+    ModelRegistry.listeners.add(listener);
+    return () => ModelRegistry.listeners.delete(listener);
+  },
+
+  notify: () => ModelRegistry.listeners.forEach(listener => listener()),
+
+  // Add or replace a model: { name, label, symmetric, build(grid), palette, bounds }
+  // bounds is the model's natural [width, height, depth] in 32-unit space
+  register: (entry) => {
+    if (!entry || !entry.name || typeof entry.build !== 'function') {
+      throw new Error('ModelRegistry: entries need a name and a build function');
+    }
+    ModelRegistry.entries.set(entry.name, {
+      label: entry.name,
+      symmetric: false,
+      palette: 'default',
+      bounds: [32, 32, 32],
+      ...entry
+    });
+    ModelRegistry.notify();
+    return ModelRegistry;
+  },
+
+  unregister: (name) => {
+    const removed = ModelRegistry.entries.delete(name);
+    if (removed) ModelRegistry.notify();
+    return removed;
+  },
+
+  get: (name) => ModelRegistry.entries.get(name),
+
+  // Entries in registration order
+  list: () => [...ModelRegistry.entries.values()],
+
+  // Grid sized to an entry's bounds at the given resolution; size stays at
+  // the resolution so builders keep scaling by s / 32
+  createGrid: (entry, resolution, options = {}) => {
+    const { chunked = false } = options;
+    const scale = resolution / 32;
+    const [width, height, depth] = (entry.bounds || [32, 32, 32]).map(b => Math.max(1, Math.ceil(b * scale)));
+    const grid = chunked
+      ? VoxelEngine.createChunkedGrid(width, height, depth)
+      : VoxelEngine.createGrid(width, height, depth);
+    grid.size = resolution;
+    return grid;
+  },
+
+  // Run an entry's builder. Grids of symmetric entries are marked for X
+  // mirroring, unless the builder set its own symmetry, and mirrored, so
+  // a builder may define only the left half
+  build: (entry, grid, params) => {
+    entry.build(grid, params);
+    if (entry.symmetric) {
+      if (!grid.symmetry) grid.symmetric = true;
+      VoxelEngine.mirrorGrid(grid);
+    }
+    return grid;
+  }
+};
+
+[
+  { name: 'human', label: 'Human', symmetric: true, bounds: [32, 32, 32] },
+  { name: 'robot', label: 'Robot', symmetric: true, bounds: [32, 38, 32] },
+  { name: 'car', label: 'Car', symmetric: true, bounds: [32, 16, 32] },
+  { name: 'tree', label: 'Tree', symmetric: true, bounds: [32, 32, 32] },
+  { name: 'house', label: 'House', symmetric: true, bounds: [32, 28, 32] },
+  { name: 'cube', label: 'Cube', symmetric: false, bounds: [32, 32, 32] },
+  { name: 'sphere', label: 'Sphere', symmetric: false, bounds: [32, 32, 32] },
+  { name: 'torch', label: 'Torch', symmetric: false, bounds: [16, 32, 16] }
+].forEach(entry => ModelRegistry.register({
+  ...entry,
+  build: VoxelModels[entry.name],
+  rig: VoxelRigs[entry.name] || null,
+  sequences: VoxelSequences[entry.name] || null
+}));
+
+// Procedural variants follow the presets in the catalog
+Object.entries(VoxelGenerators).forEach(([name, generator]) => {
+  ModelRegistry.register(Procedural.toModelEntry(`${name}-gen`, generator));
+});
+
+// ============================================================================
+// SCENE GRAPH
+// ============================================================================
+
+// A scene lays out prop instances in one space:
+// { nodes: [{ name, prop, resolution, seed, params, palette, position, rotation, scale, children }] }
+// prop is a catalog model name, or a grid or grid data (see
+// VoxelEngine.fromData); a node without one only groups its children.
+// At scale 1 a prop spans 32 scene units across its size, whatever its
+// resolution, with its base centered on the node's position. rotation is
+// [x, y, z] radians (X then Y then Z, like VoxelParts) and scale a positive
+// number. Children are placed in their parent's space and inherit its palette.
+const VoxelScene = {
+  // What a node's mesh is cached under; grids key by identity
+  meshKey: (node, resolution) => (
+    typeof node.prop === 'string'
+      ? `${node.prop}/${resolution}/${node.seed === undefined ? 1 : node.seed}/${JSON.stringify(node.params || {})}`
+      : node.prop
+  ),
+
+  // A node's prop as a grid, built the way the component builds models
+  buildGrid: (node, resolution, models) => {
+    if (typeof node.prop !== 'string') return VoxelEngine.fromData(node.prop);
+    const entry = models.find(e => e.name === node.prop);
+    if (!entry) throw new Error(`VoxelScene: unknown prop "${node.prop}"`);
+    const grid = ModelRegistry.createGrid(entry, resolution);
+    const seed = node.seed === undefined ? 1 : node.seed;
+    return ModelRegistry.build(entry, grid, entry.params ? { seed, ...node.params } : undefined);
+  },
+
+  // Node matrix in its parent's space
+  localMatrix: (node) => {
+    const { position = [0, 0, 0], rotation = [0, 0, 0], scale = 1 } = node;
+    if (typeof scale !== 'number' || !(scale > 0)) {
+      throw new Error('VoxelScene: scale must be a positive number');
+    }
+    let m = Matrix.scale(scale);
+    m = Matrix.multiply(Matrix.rotateX(rotation[0]), m);
+    m = Matrix.multiply(Matrix.rotateY(rotation[1]), m);
+    m = Matrix.multiply(Matrix.rotateZ(rotation[2]), m);
+    return Matrix.multiply(Matrix.translate(...position), m);
+  },
+
+  // Flatten the graph into instances that share one mesh per distinct prop.
+  // Passing the same cache to later builds reuses meshes across them, so
+  // moving a prop never re-meshes. Matrices map mesh space into a scene box
+  // starting at the origin, sized by width, height and depth like a mesh
+  build: (scene, options = {}) => {
+    const {
+      models = ModelRegistry.list(),
+      resolution = 16,
+      symmetry = true,
+      greedy = false,
+      ao = true,
+      cache = new Map()
+    } = options;
+    const placed = [];
+
+    const visit = (node, parentMatrix, parentPalette) => {
+      const matrix = Matrix.multiply(parentMatrix, VoxelScene.localMatrix(node));
+      const palette = node.palette || parentPalette;
+      if (node.prop) {
+        const key = VoxelScene.meshKey(node, node.resolution || resolution);
+        if (!cache.has(key)) {
+          const grid = VoxelScene.buildGrid(node, node.resolution || resolution, models);
+          cache.set(key, VoxelEngine.generateMesh(grid, symmetry, { greedy, ao }));
+        }
+        const mesh = cache.get(key);
+        // Base centered on the node, longest side 32 units
+        const fit = 32 / (mesh.size || Math.max(mesh.width, mesh.height, mesh.depth));
+        const propMatrix = Matrix.multiply(Matrix.scale(fit), Matrix.translate(-mesh.width / 2, 0, -mesh.depth / 2));
+        placed.push({
+          name: node.name || null,
+          mesh,
+          matrix: Matrix.multiply(matrix, propMatrix),
+          palette: palette || null
+        });
+      }
+      (node.children || []).forEach(child => visit(child, matrix, palette));
+    };
+    ((scene && scene.nodes) || []).forEach(node => visit(node, Matrix.identity(), null));
+
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    placed.forEach(({ mesh, matrix }) => {
+      [0, mesh.width].forEach(x => [0, mesh.height].forEach(y => [0, mesh.depth].forEach(z => {
+        const p = Matrix.transformPoint(matrix, [x, y, z]);
+        for (let a = 0; a < 3; a++) {
+          min[a] = Math.min(min[a], p[a]);
+          max[a] = Math.max(max[a], p[a]);
+        }
+      })));
+    });
+    if (placed.length === 0) {
+      min.fill(0);
+      max.fill(1);
+    }
+    const [width, height, depth] = max.map((m, a) => m - min[a]);
+    const shift = Matrix.translate(-min[0], -min[1], -min[2]);
+
+    // Overrides are resolved once, so renderers can cache them per object
+    const palettes = new Map();
+    const resolvePalette = (palette) => {
+      if (!palette) return null;
+      if (!palettes.has(palette)) {
+        palettes.set(palette, typeof palette === 'string' ? PaletteRegistry.resolve(palette) : PaletteRegistry.complete(palette));
+      }
+      return palettes.get(palette);
+    };
+
+    return {
+      instances: placed.map(instance => ({
+        ...instance,
+        matrix: Matrix.multiply(shift, instance.matrix),
+        palette: resolvePalette(instance.palette)
+      })),
+      width,
+      height,
+      depth,
+      size: Math.max(width, height, depth),
+      // Scene position of the box's corner
+      origin: min,
+      meshes: new Set(placed.map(instance => instance.mesh)).size
+    };
+  },
+
+  // The whole scene as one plain mesh, for exporters. Color indices are
+  // renumbered so every instance keeps its palette's colors; the merged
+  // palette is returned alongside
+  flatten: (scene, palette = 'default') => {
+    const fallback = PaletteRegistry.resolve(palette);
+    const merged = {};
+    const remap = new Map();
+    const vertices = [];
+    const faces = [];
+    const colors = [];
+    const occlusion = scene.instances.every(instance => instance.mesh.occlusion) ? [] : null;
+
+    scene.instances.forEach(({ mesh, matrix, palette: override }) => {
+      const source = override || fallback;
+      if (!remap.has(source)) remap.set(source, new Map());
+      const indices = remap.get(source);
+      const offset = vertices.length / 3;
+      for (let i = 0; i < mesh.vertices.length; i += 3) {
+        vertices.push(...Matrix.transformPoint(matrix, [mesh.vertices[i], mesh.vertices[i + 1], mesh.vertices[i + 2]]));
+      }
+      for (let i = 0; i < mesh.faces.length; i++) faces.push(mesh.faces[i] + offset);
+      for (let i = 0; i < mesh.colors.length; i++) {
+        const color = mesh.colors[i] || 1;
+        if (!indices.has(color)) {
+          const index = Object.keys(merged).length + 1;
+          if (index > 255) throw new Error('VoxelScene: too many colors to merge into one palette');
+          merged[index] = source[color] || source[1];
+          indices.set(color, index);
+        }
+        colors.push(indices.get(color));
+      }
+      if (occlusion) for (let i = 0; i < mesh.occlusion.length; i++) occlusion.push(mesh.occlusion[i]);
+    });
+
+    return {
+      mesh: {
+        vertices, faces, colors, occlusion,
+        size: scene.size, width: scene.width, height: scene.height, depth: scene.depth,
+        symmetric: false, symmetry: null, symmetrySavings: []
+      },
+      palette: merged
+    };
+  }
+};
+
+// ============================================================================
+// SVGA COLOR PALETTES
+// ============================================================================
+
+const ColorPalettes = {
+  default: {
+    1: { base: '#FFD5B8', highlight: '#FFF0E0', shadow: '#C9A088' },
+    2: { base: '#4A90D9', highlight: '#7AB8FF', shadow: '#2A5080' },
+    3: { base: '#3D5C8C', highlight: '#5A80B0', shadow: '#253850' },
+    4: { base: '#4A3728', highlight: '#6B5040', shadow: '#2A1F18' },
+    5: { base: '#E8E8E8', highlight: '#FFFFFF', shadow: '#B0B0B0' },
+    6: { base: '#FF6B6B', highlight: '#FF9999', shadow: '#CC4444' },
+    7: { base: '#8B5A2B', highlight: '#A67B4B', shadow: '#5C3A1B' },
     8: { base: '#228B22', highlight: '#44AA44', shadow: '#145014' },
     9: { base: '#DC143C', highlight: '#FF3355', shadow: '#AA0022' },
     10: { base: '#C0C0C0', highlight: '#E0E0E0', shadow: '#909090' },
@@ -476,194 +2071,2766 @@ const ColorPalettes = {
 };
 
 // ============================================================================
-// 3D MATH UTILITIES
+// PALETTE REGISTRY
 // ============================================================================
 
-const Matrix = {
-  identity: () => [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1],
+// Registered palettes live in ColorPalettes so every lookup by name keeps
+// working; this adds labels, validation, tone derivation and importers.
+const PaletteRegistry = {
+  labels: new Map([['default', 'Default'], ['cyberpunk', 'Cyberpunk'], ['retro', 'Retro']]),
+  builtIn: new Set(Object.keys(ColorPalettes)),
 
-  multiply: (a, b) => {
-    const result = new Array(16).fill(0);
-    for (let row = 0; row < 4; row++) {
-      for (let col = 0; col < 4; col++) {
-        for (let k = 0; k < 4; k++) {
-          result[row * 4 + col] += a[row * 4 + k] * b[k * 4 + col];
-        }
-      }
+  // Add or replace a palette: { [index]: { base, highlight?, shadow? } }
+  // Entries given only a base color get derived highlight and shadow tones
+  register: (name, palette, options = {}) => {
+    if (!name || !palette || typeof palette !== 'object') {
+      throw new Error('PaletteRegistry: palettes need a name and an object of indexed colors');
     }
-    return result;
+    ColorPalettes[name] = PaletteRegistry.complete(palette);
+    PaletteRegistry.labels.set(name, options.label || name);
+    return ColorPalettes[name];
   },
 
-  rotateX: (angle) => {
-    const c = Math.cos(angle), s = Math.sin(angle);
-    return [1, 0, 0, 0, 0, c, -s, 0, 0, s, c, 0, 0, 0, 0, 1];
+  unregister: (name) => {
+    PaletteRegistry.labels.delete(name);
+    return delete ColorPalettes[name];
   },
 
-  rotateY: (angle) => {
-    const c = Math.cos(angle), s = Math.sin(angle);
-    return [c, 0, s, 0, 0, 1, 0, 0, -s, 0, c, 0, 0, 0, 0, 1];
-  },
+  get: (name) => ColorPalettes[name],
 
-  translate: (x, y, z) => [1, 0, 0, x, 0, 1, 0, y, 0, 0, 1, z, 0, 0, 0, 1],
+  // [{ name, label }] in registration order
+  list: () => Object.keys(ColorPalettes).map(name => ({ name, label: PaletteRegistry.labels.get(name) || name })),
 
-  scale: (s) => [s, 0, 0, 0, 0, s, 0, 0, 0, 0, s, 0, 0, 0, 0, 1],
+  // A name or a palette object to a palette object
+  resolve: (palette) => (
+    typeof palette === 'string'
+      ? (ColorPalettes[palette] || ColorPalettes.default)
+      : (palette || ColorPalettes.default)
+  ),
 
-  transformPoint: (m, p) => {
-    const w = m[12] * p[0] + m[13] * p[1] + m[14] * p[2] + m[15];
+  // Fill in missing tones; accepts plain hex strings as entries too
+  complete: (palette) => {
+    const result = {};
+    Object.keys(palette).forEach(index => {
+      const entry = typeof palette[index] === 'string' ? { base: palette[index] } : palette[index];
+      if (!entry || !/^#[0-9a-f]{6}$/i.test(entry.base || '')) {
+        throw new Error(`PaletteRegistry: index ${index} needs a #RRGGBB base color`);
+      }
+      const derived = entry.highlight && entry.shadow ? entry : PaletteRegistry.deriveTones(entry.base);
+      result[index] = {
+        base: entry.base.toUpperCase(),
+        highlight: entry.highlight || derived.highlight,
+        shadow: entry.shadow || derived.shadow
+      };
+    });
+    return result;
+  },
+
+  // Palette from a list of base colors, numbered from index 1
+  fromColors: (colors) => {
+    const palette = {};
+    colors.slice(0, 255).forEach((hex, i) => {
+      palette[i + 1] = PaletteRegistry.deriveTones(hex);
+    });
+    return palette;
+  },
+
+  // sRGB hex to OKLab [L, a, b]
+  toOklab: (hex) => {
+    const [r, g, b] = MeshExport.parseColor(hex).map(MeshExport.srgbToLinear);
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
     return [
-      (m[0] * p[0] + m[1] * p[1] + m[2] * p[2] + m[3]) / w,
+      0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+      1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+      0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    ];
+  },
+
+  // OKLab to linear sRGB (may be out of gamut)
+  oklabToLinear: ([L, a, b]) => {
+    const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+    const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+    const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+    return [
+      4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+      -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+      -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ];
+  },
+
+  // OKLCh color to hex, reducing chroma until it fits the sRGB gamut
+  fromOklch: (L, C, h) => {
+    let chroma = C;
+    let linear = PaletteRegistry.oklabToLinear([L, chroma * Math.cos(h), chroma * Math.sin(h)]);
+    for (let i = 0; i < 24 && linear.some(c => c < -0.0001 || c > 1.0001); i++) {
+      chroma *= 0.85;
+      linear = PaletteRegistry.oklabToLinear([L, chroma * Math.cos(h), chroma * Math.sin(h)]);
+    }
+    const encode = (c) => {
+      const v = Math.min(1, Math.max(0, c));
+      const srgb = v <= 0.0031308 ? v * 12.92 : 1.055 * v ** (1 / 2.4) - 0.055;
+      return Math.round(srgb * 255);
+    };
+    const [r, g, b] = linear.map(encode);
+    return VoxFormat.toHex((r << 16) | (g << 8) | b);
+  },
+
+  // Highlight and shadow in OKLCh: equal perceived lightness steps, with the
+  // pixel-art hue shift (shadows toward blue, highlights toward yellow)
+  deriveTones: (hex) => {
+    const [L, a, b] = PaletteRegistry.toOklab(hex);
+    const C = Math.sqrt(a * a + b * b);
+    const h = Math.atan2(b, a);
+    const toward = (target, amount) => {
+      const diff = Math.atan2(Math.sin(target - h), Math.cos(target - h));
+      return h + diff * amount;
+    };
+    // OKLab hue angles of yellow and blue
+    const warm = 1.92;
+    const cool = -1.4;
+
+    return {
+      base: hex.toUpperCase(),
+      highlight: PaletteRegistry.fromOklch(Math.min(1, L + (1 - L) * 0.3 + 0.03), C * 0.9, toward(warm, 0.1)),
+      shadow: PaletteRegistry.fromOklch(L * 0.75, C * 0.95, toward(cool, 0.1))
+    };
+  },
+
+  // GIMP .gpl: header line, optional Name/Columns, then "R G B name" rows
+  parseGPL: (text) => {
+    const lines = text.split(/\r?\n/);
+    if (!/^GIMP Palette/.test(lines[0] || '')) {
+      throw new Error('PaletteRegistry: not a GIMP palette');
+    }
+    let name = null;
+    const colors = [];
+    lines.slice(1).forEach(line => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed[0] === '#') return;
+      const header = trimmed.match(/^Name:\s*(.*)$/);
+      if (header) {
+        name = header[1];
+        return;
+      }
+      const rgb = trimmed.match(/^(\d+)\s+(\d+)\s+(\d+)/);
+      if (rgb) {
+        const [r, g, b] = rgb.slice(1, 4).map(c => Math.min(255, Number(c)));
+        colors.push(VoxFormat.toHex((r << 16) | (g << 8) | b));
+      }
+    });
+    if (colors.length === 0) {
+      throw new Error('PaletteRegistry: no R G B rows found');
+    }
+    return { name, palette: PaletteRegistry.fromColors(colors) };
+  },
+
+  // Lospec .hex: one RRGGBB per line
+  parseHEX: (text) => {
+    const colors = text.split(/\r?\n/)
+      .map(line => line.trim().replace(/^#/, ''))
+      .filter(line => /^[0-9a-f]{6}$/i.test(line))
+      .map(line => `#${line.toUpperCase()}`);
+    if (colors.length === 0) {
+      throw new Error('PaletteRegistry: no RRGGBB lines found');
+    }
+    return { name: null, palette: PaletteRegistry.fromColors(colors) };
+  },
+
+  // Swatch image: distinct opaque colors in scan order (any swatch size)
+  fromImageData: (imageData) => {
+    const { data } = imageData;
+    const seen = new Set();
+    const colors = [];
+    for (let i = 0; i < data.length && colors.length < 255; i += 4) {
+      if (data[i + 3] < 128) continue;
+      const rgb = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+      if (seen.has(rgb)) continue;
+      seen.add(rgb);
+      colors.push(VoxFormat.toHex(rgb));
+    }
+    if (colors.length === 0) {
+      throw new Error('PaletteRegistry: no opaque pixels found');
+    }
+    return { name: null, palette: PaletteRegistry.fromColors(colors) };
+  },
+
+  // PNG swatch strip (Blob, File or ArrayBuffer); browser only, async
+  fromPNG: async (source) => {
+    if (typeof createImageBitmap !== 'function') {
+      throw new Error('PaletteRegistry: PNG import needs createImageBitmap');
+    }
+    const blob = source instanceof Blob ? source : new Blob([source], { type: 'image/png' });
+    const bitmap = await createImageBitmap(blob);
+    const canvas = typeof OffscreenCanvas !== 'undefined'
+      ? new OffscreenCanvas(bitmap.width, bitmap.height)
+      : Object.assign(document.createElement('canvas'), { width: bitmap.width, height: bitmap.height });
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    return PaletteRegistry.fromImageData(ctx.getImageData(0, 0, bitmap.width, bitmap.height));
+  },
+
+  // Register a .gpl, .hex or .png File under its palette name or file name.
+  // A name taken by a built-in palette gets a number appended
+  importFile: async (file) => {
+    const extension = (file.name.match(/\.(\w+)$/) || [])[1];
+    const format = extension ? extension.toLowerCase() : '';
+    let parsed;
+    if (format === 'gpl') parsed = PaletteRegistry.parseGPL(await file.text());
+    else if (format === 'hex') parsed = PaletteRegistry.parseHEX(await file.text());
+    else if (format === 'png') parsed = await PaletteRegistry.fromPNG(file);
+    else throw new Error(`PaletteRegistry: unsupported palette format "${format}"`);
+
+    const base = parsed.name || file.name.replace(/\.\w+$/, '');
+    const slug = base.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    let name = slug;
+    let label = base;
+    for (let n = 2; PaletteRegistry.builtIn.has(name); n++) {
+      name = `${slug}-${n}`;
+      label = `${base} ${n}`;
+    }
+    PaletteRegistry.register(name, parsed.palette, { label });
+    return name;
+  }
+};
+
+// ============================================================================
+// LIGHT PRESETS
+// ============================================================================
+
+// Directions are the way the light travels. Point light positions are in
+// model units: the prop's longest axis spans -1 to 1 around its center.
+const LightPresets = {
+  studio: {
+    ambient: 0.15,
+    hemisphere: { sky: '#FFFFFF', ground: '#8090A0', intensity: 0.1 },
+    lights: [
+      { type: 'directional', direction: [0.5, -0.7, 0.5], color: '#FFF4E8', intensity: 0.6 },
+      { type: 'directional', direction: [-0.7, -0.2, 0.4], color: '#D8E4FF', intensity: 0.25 },
+      { type: 'directional', direction: [0, -0.3, -1], color: '#FFFFFF', intensity: 0.2 }
+    ]
+  },
+
+  sunset: {
+    ambient: 0.1,
+    hemisphere: { sky: '#FF9A5C', ground: '#3A2450', intensity: 0.2 },
+    lights: [
+      { type: 'directional', direction: [-0.9, -0.25, 0.3], color: '#FFB070', intensity: 0.75 }
+    ]
+  },
+
+  neon: {
+    ambient: 0.05,
+    hemisphere: { sky: '#2A1040', ground: '#001A2A', intensity: 0.15 },
+    lights: [
+      { type: 'point', position: [-1.2, 0.6, 1.0], color: '#FF2BD6', intensity: 1.5, range: 1.5 },
+      { type: 'point', position: [1.2, 0.2, -1.0], color: '#00F0FF', intensity: 1.5, range: 1.5 }
+    ]
+  }
+};
+
+// ============================================================================
+// MAGICAVOXEL .VOX FORMAT
+// ============================================================================
+
+const VoxFormat = {
+  // MagicaVoxel's built-in palette, used when a file has no RGBA chunk
+  // Index 0 is empty, 1-215 walk a 6x6x6 color cube, 216-255 are R/G/B/gray ramps
+  defaultPalette: (() => {
+    const palette = [0x000000];
+    const steps = [0xff, 0xcc, 0x99, 0x66, 0x33, 0x00];
+    steps.forEach(r => steps.forEach(g => steps.forEach(b => {
+      if (r || g || b) palette.push((r << 16) | (g << 8) | b);
+    })));
+    const ramp = [0xee, 0xdd, 0xbb, 0xaa, 0x88, 0x77, 0x55, 0x44, 0x22, 0x11];
+    ramp.forEach(c => palette.push(c << 16));
+    ramp.forEach(c => palette.push(c << 8));
+    ramp.forEach(c => palette.push(c));
+    ramp.forEach(c => palette.push((c << 16) | (c << 8) | c));
+    return palette;
+  })(),
+
+  toHex: (rgb) => '#' + rgb.toString(16).padStart(6, '0').toUpperCase(),
+
+  // Build a shadow/base/highlight entry from a single base color
+  deriveTones: (hex) => PaletteRegistry.deriveTones(hex),
+
+  // Parse a .vox ArrayBuffer into { grid, palette, models }
+  // MagicaVoxel is Z-up, so file (x, y, z) maps to grid (x, z, y)
+  parse: (buffer, options = {}) => {
+    const { modelIndex = 0 } = options;
+    const view = new DataView(buffer);
+    const readId = (offset) => String.fromCharCode(
+      view.getUint8(offset), view.getUint8(offset + 1),
+      view.getUint8(offset + 2), view.getUint8(offset + 3)
+    );
+
+    if (buffer.byteLength < 8 || readId(0) !== 'VOX ') {
+      throw new Error('VoxFormat: not a MagicaVoxel file');
+    }
+    if (readId(8) !== 'MAIN') {
+      throw new Error('VoxFormat: missing MAIN chunk');
+    }
+
+    const models = [];
+    let rgba = null;
+    let pendingSize = null;
+    let offset = 20;
+    const end = 20 + view.getUint32(12, true) + view.getUint32(16, true);
+
+    // Walk the flat list of MAIN's children, skipping chunks we don't use
+    while (offset + 12 <= end) {
+      const id = readId(offset);
+      const contentSize = view.getUint32(offset + 4, true);
+      const childrenSize = view.getUint32(offset + 8, true);
+      const content = offset + 12;
+
+      if (id === 'SIZE') {
+        pendingSize = [
+          view.getUint32(content, true),
+          view.getUint32(content + 4, true),
+          view.getUint32(content + 8, true)
+        ];
+      } else if (id === 'XYZI') {
+        const count = view.getUint32(content, true);
+        const voxels = new Uint8Array(buffer, content + 4, count * 4);
+        models.push({ size: pendingSize || [0, 0, 0], voxels });
+        pendingSize = null;
+      } else if (id === 'RGBA') {
+        rgba = [0x000000];
+        for (let i = 0; i < 255; i++) {
+          const c = content + i * 4;
+          rgba.push((view.getUint8(c) << 16) | (view.getUint8(c + 1) << 8) | view.getUint8(c + 2));
+        }
+      }
+
+      offset = content + contentSize + childrenSize;
+    }
+
+    const model = models[modelIndex];
+    if (!model) {
+      throw new Error(`VoxFormat: model ${modelIndex} not found (file has ${models.length})`);
+    }
+
+    const [sx, sy, sz] = model.size;
+    const grid = VoxelEngine.createGrid(Math.max(sx, 1), Math.max(sz, 1), Math.max(sy, 1));
+    const used = new Set();
+
+    for (let i = 0; i < model.voxels.length; i += 4) {
+      const colorIndex = model.voxels[i + 3];
+      if (colorIndex === 0) continue;
+      VoxelEngine.setVoxel(grid, model.voxels[i], model.voxels[i + 2], model.voxels[i + 1], colorIndex);
+      used.add(colorIndex);
+    }
+
+    // Only palette entries that are actually referenced
+    const source = rgba || VoxFormat.defaultPalette;
+    const palette = {};
+    used.forEach(index => {
+      palette[index] = VoxFormat.deriveTones(VoxFormat.toHex(source[index]));
+    });
+
+    return { grid, palette, models: models.length };
+  },
+
+  // Write a grid to a .vox ArrayBuffer (version 150)
+  // palette may be a ColorPalettes name or a palette object; missing
+  // indices fall back to MagicaVoxel's default colors. Coordinates are
+  // stored as bytes, so no side may exceed 256
+  write: (grid, palette = 'default') => {
+    const colorPalette = PaletteRegistry.resolve(palette);
+    const { width, height, depth } = grid;
+    if (Math.max(width, height, depth) > 256) {
+      throw new Error(`VoxFormat: ${width}×${height}×${depth} exceeds the 256 voxel limit per side`);
+    }
+
+    const voxels = [];
+    for (let z = 0; z < depth; z++) {
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const voxel = VoxelEngine.getVoxel(grid, x, y, z);
+          if (voxel !== 0) voxels.push(x, z, y, voxel);
+        }
+      }
+    }
+
+    const sizeBytes = 12 + 12;
+    const xyziBytes = 12 + 4 + voxels.length;
+    const rgbaBytes = 12 + 256 * 4;
+    const childrenSize = sizeBytes + xyziBytes + rgbaBytes;
+    const buffer = new ArrayBuffer(20 + childrenSize);
+    const view = new DataView(buffer);
+    let offset = 0;
+
+    const writeId = (id) => {
+      for (let i = 0; i < 4; i++) view.setUint8(offset + i, id.charCodeAt(i));
+      offset += 4;
+    };
+    const writeInt = (value) => {
+      view.setUint32(offset, value, true);
+      offset += 4;
+    };
+
+    writeId('VOX ');
+    writeInt(150);
+    writeId('MAIN');
+    writeInt(0);
+    writeInt(childrenSize);
+
+    writeId('SIZE');
+    writeInt(12);
+    writeInt(0);
+    writeInt(width);
+    writeInt(depth);
+    writeInt(height);
+
+    writeId('XYZI');
+    writeInt(4 + voxels.length);
+    writeInt(0);
+    writeInt(voxels.length / 4);
+    new Uint8Array(buffer, offset, voxels.length).set(voxels);
+    offset += voxels.length;
+
+    writeId('RGBA');
+    writeInt(256 * 4);
+    writeInt(0);
+    for (let i = 1; i <= 256; i++) {
+      const entry = colorPalette[i];
+      const rgb = entry
+        ? parseInt(entry.base.slice(1, 7), 16)
+        : (VoxFormat.defaultPalette[i] || 0);
+      view.setUint8(offset, (rgb >> 16) & 0xff);
+      view.setUint8(offset + 1, (rgb >> 8) & 0xff);
+      view.setUint8(offset + 2, rgb & 0xff);
+      view.setUint8(offset + 3, 0xff);
+      offset += 4;
+    }
+
+    return buffer;
+  }
+};
+
+// ============================================================================
+// 3D MATH UTILITIES
+// ============================================================================
+
+const Matrix = {
+  identity: () => [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1],
+
+  multiply: (a, b) => {
+    const result = new Array(16).fill(0);
+    for (let row = 0; row < 4; row++) {
+      for (let col = 0; col < 4; col++) {
+        for (let k = 0; k < 4; k++) {
+          result[row * 4 + col] += a[row * 4 + k] * b[k * 4 + col];
+        }
+      }
+    }
+    return result;
+  },
+
+  rotateX: (angle) => {
+    const c = Math.cos(angle), s = Math.sin(angle);
+    return [1, 0, 0, 0, 0, c, -s, 0, 0, s, c, 0, 0, 0, 0, 1];
+  },
+
+  rotateY: (angle) => {
+    const c = Math.cos(angle), s = Math.sin(angle);
+    return [c, 0, s, 0, 0, 1, 0, 0, -s, 0, c, 0, 0, 0, 0, 1];
+  },
+
+  rotateZ: (angle) => {
+    const c = Math.cos(angle), s = Math.sin(angle);
+    return [c, -s, 0, 0, s, c, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+  },
+
+  translate: (x, y, z) => [1, 0, 0, x, 0, 1, 0, y, 0, 0, 1, z, 0, 0, 0, 1],
+
+  scale: (s) => [s, 0, 0, 0, 0, s, 0, 0, 0, 0, s, 0, 0, 0, 0, 1],
+
+  // Looks down +Z like the orthographic view (smaller z is nearer): view
+  // depth near..far maps to clip z -1..1 and w is the depth. fov is the
+  // vertical angle in radians
+  perspective: (fov, aspect, near, far) => {
+    const f = 1 / Math.tan(fov / 2);
+    return [
+      f / aspect, 0, 0, 0,
+      0, f, 0, 0,
+      0, 0, (far + near) / (far - near), -2 * far * near / (far - near),
+      0, 0, 1, 0
+    ];
+  },
+
+  // Gauss-Jordan inverse; null when the matrix is singular
+  invert: (m) => {
+    const a = [...m];
+    const inv = Matrix.identity();
+    for (let col = 0; col < 4; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < 4; row++) {
+        if (Math.abs(a[row * 4 + col]) > Math.abs(a[pivot * 4 + col])) pivot = row;
+      }
+      if (Math.abs(a[pivot * 4 + col]) < 1e-12) return null;
+      for (let k = 0; k < 4; k++) {
+        [a[col * 4 + k], a[pivot * 4 + k]] = [a[pivot * 4 + k], a[col * 4 + k]];
+        [inv[col * 4 + k], inv[pivot * 4 + k]] = [inv[pivot * 4 + k], inv[col * 4 + k]];
+      }
+      const scale = a[col * 4 + col];
+      for (let k = 0; k < 4; k++) {
+        a[col * 4 + k] /= scale;
+        inv[col * 4 + k] /= scale;
+      }
+      for (let row = 0; row < 4; row++) {
+        if (row === col) continue;
+        const factor = a[row * 4 + col];
+        for (let k = 0; k < 4; k++) {
+          a[row * 4 + k] -= factor * a[col * 4 + k];
+          inv[row * 4 + k] -= factor * inv[col * 4 + k];
+        }
+      }
+    }
+    return inv;
+  },
+
+  transformPoint: (m, p) => {
+    const w = m[12] * p[0] + m[13] * p[1] + m[14] * p[2] + m[15];
+    return [
+      (m[0] * p[0] + m[1] * p[1] + m[2] * p[2] + m[3]) / w,
       (m[4] * p[0] + m[5] * p[1] + m[6] * p[2] + m[7]) / w,
       (m[8] * p[0] + m[9] * p[1] + m[10] * p[2] + m[11]) / w
     ];
+  },
+
+  // Clip-space [x, y, z, w], before the perspective divide
+  transformHomogeneous: (m, p) => [0, 4, 8, 12].map(row => (
+    m[row] * p[0] + m[row + 1] * p[1] + m[row + 2] * p[2] + m[row + 3]
+  )),
+
+  // Whether w varies with the point, i.e. the matrix has a projection row
+  isPerspective: (m) => m[12] !== 0 || m[13] !== 0 || m[14] !== 0
+};
+
+// ============================================================================
+// CAMERA
+// ============================================================================
+
+// Builds the model-to-clip transform shared by the renderers and the picker.
+// Every mode maps the view to x/y in -1..1 with smaller z nearer
+const Camera = {
+  modes: ['orthographic', 'perspective', 'isometric'],
+
+  // fov is the vertical angle in degrees; near and far are view-space
+  // distances, where the model's longest side spans zoom units
+  defaults: { mode: 'orthographic', fov: 50, near: 0.1, far: 100 },
+
+  // Pixel-art isometric is dimetric 2:1: ground lines rise one pixel for
+  // every two across, which is a 30 degree pitch at a 45 degree yaw
+  isometricPitch: -Math.PI / 6,
+
+  // Snaps yaw to the nearest diagonal, so dragging still turns the model
+  // a quarter at a time
+  isometricYaw: (yaw) => Math.PI / 4 + Math.round((yaw - Math.PI / 4) / (Math.PI / 2)) * (Math.PI / 2),
+
+  // A mode name or { mode, fov, near, far } over the defaults
+  resolve: (camera) => {
+    const options = { ...Camera.defaults, ...(typeof camera === 'string' ? { mode: camera } : camera) };
+    if (!Camera.modes.includes(options.mode)) {
+      throw new Error(`Camera: unknown mode "${options.mode}"`);
+    }
+    if (!(options.fov > 0 && options.fov < 180)) {
+      throw new Error('Camera: fov must be between 0 and 180 degrees');
+    }
+    if (!(options.near > 0 && options.far > options.near)) {
+      throw new Error('Camera: near must be positive and less than far');
+    }
+    return options;
+  },
+
+  // size is the mesh's [width, height, depth]; rotation.x tilts and
+  // rotation.y turns the model, in radians; pan shifts it across the view
+  transform: (size, camera, { rotation = { x: 0, y: 0 }, zoom = 1, pan = [0, 0], aspect = 1 } = {}) => {
+    const { mode, fov, near, far } = Camera.resolve(camera);
+    const [width, height, depth] = size;
+    let m = Matrix.translate(-width / 2, -height / 2, -depth / 2);
+    m = Matrix.multiply(Matrix.scale(zoom / Math.max(width, height, depth)), m);
+    if (mode === 'isometric') {
+      m = Matrix.multiply(Matrix.rotateY(Camera.isometricYaw(rotation.y)), m);
+      m = Matrix.multiply(Matrix.rotateX(Camera.isometricPitch), m);
+    } else {
+      m = Matrix.multiply(Matrix.rotateX(rotation.x), m);
+      m = Matrix.multiply(Matrix.rotateY(rotation.y), m);
+    }
+    m = Matrix.multiply(Matrix.translate(pan[0], pan[1] - 0.1, 0), m);
+    if (mode !== 'perspective') return m;
+
+    // The eye sits where the model's center plane keeps the orthographic
+    // framing, so switching modes doesn't jump; zooming in then pushes the
+    // model toward the eye and through the near plane
+    const angle = fov * Math.PI / 180;
+    m = Matrix.multiply(Matrix.translate(0, 0, 1 / Math.tan(angle / 2)), m);
+    return Matrix.multiply(Matrix.perspective(angle, aspect, near, far), m);
+  },
+
+  // Model-space eye of a transform: { position } for a perspective camera,
+  // or the { direction } a parallel camera looks along
+  eye: (transform) => {
+    const inverse = Matrix.invert(transform);
+    if (!inverse) return null;
+    const [x, y, z, w] = [inverse[2], inverse[6], inverse[10], inverse[14]];
+    if (Math.abs(w) < 1e-12) return { direction: [x, y, z] };
+    return { position: [x / w, y / w, z / w] };
   }
 };
 
-// ============================================================================
-// RENDERER
-// ============================================================================
+// ============================================================================
+// CAMERA CONTROLS
+// ============================================================================
+
+// Orbit, pan and dolly over a view { rotation: { x, y }, zoom, pan: [x, y] },
+// the same fields Camera.transform takes. Input moves the view directly and
+// leaves a velocity behind, which update() lets coast to a stop; flyTo()
+// eases between viewpoints instead
+const CameraControls = {
+  // Saved viewpoints; rotation 0 faces the model's front (low Z)
+  views: {
+    default: { rotation: { x: -0.4, y: 0.5 }, zoom: 1.5, pan: [0, 0] },
+    front: { rotation: { x: 0, y: 0 }, zoom: 1.5, pan: [0, 0] },
+    side: { rotation: { x: 0, y: -Math.PI / 2 }, zoom: 1.5, pan: [0, 0] },
+    top: { rotation: { x: -Math.PI / 2, y: 0 }, zoom: 1.5, pan: [0, 0] }
+  },
+
+  easings: {
+    linear: (t) => t,
+    easeOut: (t) => 1 - (1 - t) ** 3,
+    easeInOut: (t) => (t < 0.5 ? 4 * t ** 3 : 1 - (-2 * t + 2) ** 3 / 2)
+  },
+
+  // Key velocities: radians, view units and log-zoom per second
+  keySpeed: { orbit: 1.5, pan: 1, dolly: 1.5 },
+
+  // damping is the share of velocity kept per 60 Hz frame (0 stops dead);
+  // speeds convert pixels to radians, view units and log-zoom
+  create: (options = {}) => {
+    const {
+      view = CameraControls.views.default,
+      damping = 0.9,
+      minZoom = 0.5,
+      maxZoom = 4,
+      rotateSpeed = 0.01,
+      panSpeed = 0.004,
+      dollySpeed = 0.001
+    } = options;
+    const controls = {
+      view: CameraControls.resolveView(view),
+      velocity: { yaw: 0, pitch: 0, panX: 0, panY: 0, dolly: 0 },
+      damping,
+      minZoom,
+      maxZoom,
+      rotateSpeed,
+      panSpeed,
+      dollySpeed,
+      // Pointer id -> last client position, and the drag they make up
+      pointers: new Map(),
+      drag: null,
+      flight: null
+    };
+    CameraControls.dolly(controls, 1);
+    return controls;
+  },
+
+  // Full copy of a partial view, with the rest taken from base
+  resolveView: (view = {}, base = CameraControls.views.default) => ({
+    rotation: { ...base.rotation, ...view.rotation },
+    zoom: view.zoom !== undefined ? view.zoom : base.zoom,
+    pan: [...(view.pan || base.pan)]
+  }),
+
+  // Pitch stops at straight up and straight down
+  orbit: (controls, yaw, pitch) => {
+    const { rotation } = controls.view;
+    rotation.y += yaw;
+    rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, rotation.x + pitch));
+  },
+
+  pan: (controls, dx, dy) => {
+    controls.view.pan[0] += dx;
+    controls.view.pan[1] += dy;
+  },
+
+  // Scales zoom by factor, within minZoom..maxZoom
+  dolly: (controls, factor) => {
+    controls.view.zoom = Math.max(controls.minZoom, Math.min(controls.maxZoom, controls.view.zoom * factor));
+  },
+
+  // Drops any coasting and flight in progress
+  stop: (controls) => {
+    Object.keys(controls.velocity).forEach(key => { controls.velocity[key] = 0; });
+    controls.flight = null;
+  },
+
+  // Jumps straight to a (partial) view
+  setView: (controls, view) => {
+    CameraControls.stop(controls);
+    controls.view = CameraControls.resolveView(view, controls.view);
+    CameraControls.orbit(controls, 0, 0);
+    CameraControls.dolly(controls, 1);
+  },
+
+  // Eases from the current view to a (partial) one over duration seconds.
+  // Yaw takes the short way round, and zoom moves in log space so the
+  // speed looks even going in and out
+  flyTo: (controls, view, options = {}) => {
+    const { duration = 0.6, easing = 'easeInOut' } = options;
+    const ease = typeof easing === 'function' ? easing : CameraControls.easings[easing];
+    if (!ease) throw new Error(`CameraControls: unknown easing "${easing}"`);
+    CameraControls.stop(controls);
+    const from = CameraControls.resolveView(controls.view, controls.view);
+    const to = CameraControls.resolveView(view, from);
+    const turn = to.rotation.y - from.rotation.y;
+    to.rotation.y = from.rotation.y + turn - Math.round(turn / (Math.PI * 2)) * Math.PI * 2;
+    to.rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, to.rotation.x));
+    to.zoom = Math.max(controls.minZoom, Math.min(controls.maxZoom, to.zoom));
+    controls.flight = { from, to, elapsed: 0, duration, ease };
+    if (duration <= 0) CameraControls.update(controls, 0);
+  },
+
+  lerpView: (from, to, t) => ({
+    rotation: {
+      x: from.rotation.x + (to.rotation.x - from.rotation.x) * t,
+      y: from.rotation.y + (to.rotation.y - from.rotation.y) * t
+    },
+    zoom: from.zoom * (to.zoom / from.zoom) ** t,
+    pan: [0, 1].map(k => from.pan[k] + (to.pan[k] - from.pan[k]) * t)
+  }),
+
+  // Advances a flight or the coasting by dt seconds. Returns true while the
+  // view is still moving on its own
+  update: (controls, dt) => {
+    const { flight, velocity } = controls;
+    if (flight) {
+      flight.elapsed += dt;
+      const t = flight.duration > 0 ? Math.min(1, flight.elapsed / flight.duration) : 1;
+      controls.view = CameraControls.lerpView(flight.from, flight.to, flight.ease(t));
+      if (t === 1) controls.flight = null;
+      return true;
+    }
+    // A held drag moves the view itself
+    if (controls.pointers.size > 0) return false;
+
+    CameraControls.orbit(controls, velocity.yaw * dt, velocity.pitch * dt);
+    CameraControls.pan(controls, velocity.panX * dt, velocity.panY * dt);
+    CameraControls.dolly(controls, Math.exp(velocity.dolly * dt));
+    const decay = controls.damping ** (dt * 60);
+    let moving = false;
+    Object.keys(velocity).forEach(key => {
+      velocity[key] = Math.abs(velocity[key] * decay) < 1e-3 ? 0 : velocity[key] * decay;
+      if (velocity[key] !== 0) moving = true;
+    });
+    return moving;
+  },
+
+  // Midpoint and spread of a two-pointer gesture, or null
+  gesture: (controls) => {
+    if (controls.pointers.size < 2) return null;
+    const [a, b] = controls.pointers.values();
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, distance: Math.hypot(b.x - a.x, b.y - a.y) };
+  },
+
+  // Pointer Events. One pointer orbits, or pans with the right or middle
+  // button or Shift/Ctrl held; two pointers pinch to dolly and pan by their
+  // midpoint. Each move also sets the velocity a release coasts with
+  pointerDown: (controls, e) => {
+    CameraControls.stop(controls);
+    controls.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const pan = e.button === 1 || e.button === 2 || e.shiftKey || e.ctrlKey;
+    controls.drag = {
+      mode: controls.drag ? controls.drag.mode : (pan ? 'pan' : 'orbit'),
+      time: e.timeStamp,
+      gesture: CameraControls.gesture(controls)
+    };
+  },
+
+  pointerMove: (controls, e) => {
+    const pointer = controls.pointers.get(e.pointerId);
+    const { drag } = controls;
+    if (!pointer || !drag) return false;
+    const before = CameraControls.resolveView(controls.view, controls.view);
+    const dx = e.clientX - pointer.x;
+    const dy = e.clientY - pointer.y;
+    pointer.x = e.clientX;
+    pointer.y = e.clientY;
+
+    if (controls.pointers.size === 1) {
+      if (drag.mode === 'pan') CameraControls.pan(controls, dx * controls.panSpeed, -dy * controls.panSpeed);
+      else CameraControls.orbit(controls, dx * controls.rotateSpeed, dy * controls.rotateSpeed);
+    } else {
+      const gesture = CameraControls.gesture(controls);
+      if (drag.gesture && drag.gesture.distance > 0 && gesture.distance > 0) {
+        CameraControls.pan(controls, (gesture.x - drag.gesture.x) * controls.panSpeed, -(gesture.y - drag.gesture.y) * controls.panSpeed);
+        CameraControls.dolly(controls, gesture.distance / drag.gesture.distance);
+      }
+      drag.gesture = gesture;
+    }
+
+    // Rates from what actually moved, so a clamped pitch or zoom doesn't coast
+    const seconds = Math.max(16, e.timeStamp - drag.time) / 1000;
+    const { view, velocity } = controls;
+    velocity.yaw = (view.rotation.y - before.rotation.y) / seconds;
+    velocity.pitch = (view.rotation.x - before.rotation.x) / seconds;
+    velocity.panX = (view.pan[0] - before.pan[0]) / seconds;
+    velocity.panY = (view.pan[1] - before.pan[1]) / seconds;
+    velocity.dolly = Math.log(view.zoom / before.zoom) / seconds;
+    drag.time = e.timeStamp;
+    return true;
+  },
+
+  pointerUp: (controls, e) => {
+    if (!controls.pointers.delete(e.pointerId)) return;
+    const { drag } = controls;
+    // Held still before letting go, so nothing to coast with
+    if (drag && e.timeStamp - drag.time > 80) CameraControls.stop(controls);
+    if (controls.pointers.size === 0) controls.drag = null;
+    else if (drag) drag.gesture = CameraControls.gesture(controls);
+  },
+
+  wheel: (controls, e) => {
+    controls.flight = null;
+    CameraControls.dolly(controls, Math.exp(-e.deltaY * controls.dollySpeed));
+  },
+
+  // Arrow keys or WASD orbit, or pan with Shift; Q/E, -/+ and Page Up/Down
+  // dolly. Keys set a velocity, so a held key moves steadily and coasts to
+  // a stop. Returns whether the key was used
+  key: (controls, e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey) return false;
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    const { velocity } = controls;
+    const speed = CameraControls.keySpeed;
+    const directions = {
+      ArrowLeft: [-1, 0], a: [-1, 0],
+      ArrowRight: [1, 0], d: [1, 0],
+      ArrowUp: [0, -1], w: [0, -1],
+      ArrowDown: [0, 1], s: [0, 1]
+    };
+    const zoom = { '+': 1, '=': 1, e: 1, PageUp: 1, '-': -1, q: -1, PageDown: -1 }[key];
+
+    if (directions[key]) {
+      const [x, y] = directions[key];
+      controls.flight = null;
+      if (e.shiftKey) {
+        if (x) velocity.panX = x * speed.pan;
+        if (y) velocity.panY = -y * speed.pan;
+      } else {
+        if (x) velocity.yaw = x * speed.orbit;
+        if (y) velocity.pitch = y * speed.orbit;
+      }
+      return true;
+    }
+    if (zoom) {
+      controls.flight = null;
+      velocity.dolly = zoom * speed.dolly;
+      return true;
+    }
+    return false;
+  }
+};
+
+// ============================================================================
+// RENDERER
+// ============================================================================
+
+const Renderer = {
+  // mesh may also be a VoxelScene.build result; every instance's faces go
+  // into one list, so depth sorting and lighting are shared across props
+  render: (ctx, mesh, transform, options) => {
+    const { width, height, showFaces, palette, shading = 'smooth', paletteLocked = false } = options;
+    // Palette-locked output has no antialiased lines, so no wireframe
+    const wireframe = options.wireframe && !paletteLocked;
+    
+    if (!mesh) return;
+    const instances = mesh.instances || [{ mesh, matrix: null, palette: null }];
+    if (!instances.some(instance => instance.mesh.vertices.length > 0)) return;
+
+    const colorPalette = PaletteRegistry.resolve(palette);
+    const rig = Renderer.resolveLights(options);
+    const center = [mesh.width / 2, mesh.height / 2, mesh.depth / 2];
+    const halfExtent = Math.max(mesh.width, mesh.height, mesh.depth) / 2;
+    const perspective = Matrix.isPerspective(transform);
+    // Screen (and, under perspective, clip-space) vertices per instance
+    const projected = [];
+    const faceList = [];
+
+    instances.forEach((instance, group) => {
+      const { faces, colors, occlusion } = instance.mesh;
+      const facePalette = instance.palette || colorPalette;
+
+      // Instances are placed into scene space first, which lighting uses too
+      let vertices = instance.mesh.vertices;
+      if (instance.matrix) {
+        vertices = [];
+        for (let i = 0; i < instance.mesh.vertices.length; i += 3) {
+          vertices.push(...Matrix.transformPoint(instance.matrix, [
+            instance.mesh.vertices[i],
+            instance.mesh.vertices[i + 1],
+            instance.mesh.vertices[i + 2]
+          ]));
+        }
+      }
+
+      // Transform all vertices; a perspective camera also keeps them in clip
+      // space, so faces crossing the near plane can be cut before the divide
+      const clipVerts = [];
+      const transformedVerts = [];
+      for (let i = 0; i < vertices.length; i += 3) {
+        const p = Matrix.transformHomogeneous(transform, [vertices[i], vertices[i + 1], vertices[i + 2]]);
+        if (perspective) clipVerts.push(p);
+        transformedVerts.push(Renderer.toScreen(p, width, height));
+      }
+      projected.push({ clipVerts, transformedVerts });
+
+      // Build face list with depth sorting
+      for (let i = 0; i < faces.length; i += 3) {
+        const i0 = faces[i];
+        const i1 = faces[i + 1];
+        const i2 = faces[i + 2];
+        
+        // Clipping keeps the winding, so the polygon still culls by its
+        // first three corners and fans into triangles
+        let polygon = [transformedVerts[i0], transformedVerts[i1], transformedVerts[i2]];
+        if (perspective) {
+          const clip = [clipVerts[i0], clipVerts[i1], clipVerts[i2]];
+          if (!clip.every(Renderer.beforeNear)) {
+            polygon = Renderer.clipNear(clip).map(p => Renderer.toScreen(p, width, height));
+            if (polygon.length < 3) continue;
+          }
+        }
+        const [v0, v1, v2] = polygon;
+
+        // Calculate face normal for backface culling
+        const ax = v1.x - v0.x, ay = v1.y - v0.y;
+        const bx = v2.x - v0.x, by = v2.y - v0.y;
+        const cross = ax * by - ay * bx;
+        
+        // Backface culling
+        if (cross < 0) continue;
+
+        // Calculate 3D normal for lighting
+        const p0 = [vertices[i0 * 3], vertices[i0 * 3 + 1], vertices[i0 * 3 + 2]];
+        const p1 = [vertices[i1 * 3], vertices[i1 * 3 + 1], vertices[i1 * 3 + 2]];
+        const p2 = [vertices[i2 * 3], vertices[i2 * 3 + 1], vertices[i2 * 3 + 2]];
+        
+        const e1 = [p1[0] - p0[0], p1[1] - p0[1], p1[2] - p0[2]];
+        const e2 = [p2[0] - p0[0], p2[1] - p0[1], p2[2] - p0[2]];
+        const normal = [
+          e1[1] * e2[2] - e1[2] * e2[1],
+          e1[2] * e2[0] - e1[0] * e2[2],
+          e1[0] * e2[1] - e1[1] * e2[0]
+        ];
+        const len = Math.sqrt(normal[0] ** 2 + normal[1] ** 2 + normal[2] ** 2);
+        if (len > 0) {
+          normal[0] /= len;
+          normal[1] /= len;
+          normal[2] /= len;
+        }
+
+        // Face center in model units, for point lights
+        const point = [0, 1, 2].map(k => ((p0[k] + p1[k] + p2[k]) / 3 - center[k]) / halfExtent);
+        const lit = Renderer.lightFace(rig, normal, point);
+        let intensity = lit.intensity;
+
+        // Flat fill, so use the triangle's mean corner occlusion
+        if (occlusion) {
+          const level = (occlusion[i0] + occlusion[i1] + occlusion[i2]) / 3;
+          intensity *= Renderer.occlusionFactor(level, options.aoStrength);
+        }
+
+        const colorIndex = colors[i0] || 1;
+
+        for (let k = 1; k < polygon.length - 1; k++) {
+          const verts = [polygon[0], polygon[k], polygon[k + 1]];
+          faceList.push({
+            verts,
+            z: (verts[0].z + verts[1].z + verts[2].z) / 3,
+            intensity,
+            // Light colors would pull pixels off the palette
+            tint: paletteLocked ? null : lit.tint,
+            colorIndex,
+            palette: facePalette,
+            normal,
+            group,
+            indices: [i0, i1, i2]
+          });
+        }
+      }
+    });
+
+    // Render faces; dithering and palette lock need exact per-pixel control
+    const toneMode = paletteLocked && shading === 'smooth' ? 'banded' : shading;
+    if (showFaces && (options.rasterizer === 'zbuffer' || toneMode === 'dithered' || paletteLocked)) {
+      Renderer.rasterize(ctx, faceList, colorPalette, width, height, toneMode);
+    } else if (showFaces) {
+      // Depth sort
+      faceList.sort((a, b) => b.z - a.z);
+
+      faceList.forEach(face => {
+        const colors = face.palette[face.colorIndex] || face.palette[1];
+
+        ctx.fillStyle = Renderer.tintColor(Renderer.shadeColor(colors, face.intensity, toneMode), face.tint);
+        ctx.beginPath();
+        ctx.moveTo(face.verts[0].x, face.verts[0].y);
+        ctx.lineTo(face.verts[1].x, face.verts[1].y);
+        ctx.lineTo(face.verts[2].x, face.verts[2].y);
+        ctx.closePath();
+        ctx.fill();
+      });
+    }
+
+    // Render wireframe
+    if (wireframe) {
+      ctx.strokeStyle = options.wireframeColor || 'rgba(0, 255, 200, 0.6)';
+      ctx.lineWidth = options.wireframeWidth || 1;
+
+      const drawnEdges = new Set();
+      
+      faceList.forEach(face => {
+        const [i0, i1, i2] = face.indices;
+        const { clipVerts, transformedVerts } = projected[face.group];
+        const edges = [[i0, i1], [i1, i2], [i2, i0]];
+        
+        edges.forEach(([a, b]) => {
+          const key = a < b ? `${face.group}:${a}-${b}` : `${face.group}:${b}-${a}`;
+          if (drawnEdges.has(key)) return;
+          drawnEdges.add(key);
+
+          let v0 = transformedVerts[a];
+          let v1 = transformedVerts[b];
+          if (perspective) {
+            const segment = Renderer.clipSegment(clipVerts[a], clipVerts[b]);
+            if (!segment) return;
+            [v0, v1] = segment.map(p => Renderer.toScreen(p, width, height));
+          }
+          
+          ctx.beginPath();
+          ctx.moveTo(v0.x, v0.y);
+          ctx.lineTo(v1.x, v1.y);
+          ctx.stroke();
+        });
+      });
+    }
+  },
+
+  // Clip-space point to canvas pixels; z stays as depth, smaller is nearer
+  toScreen: (p, width, height) => ({
+    x: (p[0] / p[3] + 1) * width / 2,
+    y: (1 - p[1] / p[3]) * height / 2,
+    z: p[2] / p[3]
+  }),
+
+  // Near-plane clipping in homogeneous clip space, where the visible side
+  // is z >= -w. Points behind the eye have negative w and would flip
+  // through the divide, so they have to be cut off first
+  beforeNear: (p) => p[2] >= -p[3],
+
+  // Where the edge from an inside point to an outside one meets the plane.
+  // Always called inside-first, so the two faces sharing an edge get the
+  // same point and the z-buffer leaves no cracks
+  nearCrossing: (inside, outside) => {
+    const a = inside[2] + inside[3];
+    const t = a / (a - (outside[2] + outside[3]));
+    return inside.map((value, k) => value + (outside[k] - value) * t);
+  },
+
+  // Sutherland-Hodgman against the near plane; keeps the winding and
+  // returns 0, 3 or 4 points for a triangle
+  clipNear: (points) => {
+    const result = [];
+    points.forEach((a, i) => {
+      const b = points[(i + 1) % points.length];
+      const aIn = Renderer.beforeNear(a);
+      if (aIn) result.push(a);
+      if (aIn !== Renderer.beforeNear(b)) result.push(aIn ? Renderer.nearCrossing(a, b) : Renderer.nearCrossing(b, a));
+    });
+    return result;
+  },
+
+  // The visible part of a wireframe edge, or null
+  clipSegment: (a, b) => {
+    const aIn = Renderer.beforeNear(a);
+    const bIn = Renderer.beforeNear(b);
+    if (aIn && bIn) return [a, b];
+    if (aIn) return [a, Renderer.nearCrossing(a, b)];
+    if (bIn) return [Renderer.nearCrossing(b, a), b];
+    return null;
+  },
+
+  // Depth-buffered software rasterizer: fills faces into an ImageData with a
+  // per-pixel Z test and flat SVGA shading, then blits it over the canvas.
+  // Coverage only depends on the quad outlines (shared edges belong to exactly
+  // one triangle, and depth ties are broken by face orientation and color), so
+  // a mirrored mesh and a fully meshed one produce the same pixels.
+  // shading 'dithered' picks between the two neighboring tones per pixel
+  rasterize: (ctx, faceList, colorPalette, width, height, shading = 'smooth') => {
+    const image = ctx.getImageData(0, 0, width, height);
+    const pixels = image.data;
+    const depth = new Float64Array(width * height).fill(Infinity);
+    const owner = new Int32Array(width * height);
+    const shades = new Map();
+    const EPSILON = 1e-9;
+
+    // Edge function with endpoints in a fixed order, so the edge shared by
+    // two triangles evaluates to exactly opposite values in both
+    const edge = (a, b, px, py) => {
+      if (a.x < b.x || (a.x === b.x && a.y < b.y)) {
+        return (b.x - a.x) * (py - a.y) - (b.y - a.y) * (px - a.x);
+      }
+      return -((a.x - b.x) * (py - b.y) - (a.y - b.y) * (px - b.x));
+    };
+
+    // Pixels exactly on an edge go to one side only
+    const owns = (a, b) => (b.y - a.y > 0) || (b.y === a.y && b.x - a.x < 0);
+
+    faceList.forEach(face => {
+      const [v0, v1, v2] = face.verts;
+      const area = edge(v0, v1, v2.x, v2.y);
+      if (area <= 0) return;
+
+      // Scene instances can carry their own palette
+      const facePalette = face.palette || colorPalette;
+      const shadeKey = `${face.group || 0}:${face.colorIndex}:${face.intensity}:${face.tint}`;
+      if (!shades.has(shadeKey)) {
+        const colors = facePalette[face.colorIndex] || facePalette[1];
+        const rgb = (color) => MeshExport.parseColor(Renderer.tintColor(color, face.tint));
+        if (shading === 'dithered') {
+          const [from, to, t] = Renderer.toneSpan(colors, face.intensity);
+          shades.set(shadeKey, { from: rgb(from), to: rgb(to), t });
+        } else {
+          const shade = rgb(Renderer.shadeColor(colors, face.intensity, shading));
+          shades.set(shadeKey, { from: shade, to: shade, t: 0 });
+        }
+      }
+      const { from, to, t } = shades.get(shadeKey);
+
+      // Tie-break key: dominant normal axis and sign, then color
+      const axis = [0, 1, 2].reduce((best, k) => (Math.abs(face.normal[k]) > Math.abs(face.normal[best]) ? k : best), 0);
+      const key = 1 + axis * 2 + (face.normal[axis] < 0 ? 1 : 0) + face.colorIndex * 8;
+
+      const own0 = owns(v1, v2);
+      const own1 = owns(v2, v0);
+      const own2 = owns(v0, v1);
+
+      const minX = Math.max(0, Math.floor(Math.min(v0.x, v1.x, v2.x)));
+      const maxX = Math.min(width - 1, Math.ceil(Math.max(v0.x, v1.x, v2.x)));
+      const minY = Math.max(0, Math.floor(Math.min(v0.y, v1.y, v2.y)));
+      const maxY = Math.min(height - 1, Math.ceil(Math.max(v0.y, v1.y, v2.y)));
+
+      for (let y = minY; y <= maxY; y++) {
+        const py = y + 0.5;
+        for (let x = minX; x <= maxX; x++) {
+          const px = x + 0.5;
+          const w0 = edge(v1, v2, px, py);
+          const w1 = edge(v2, v0, px, py);
+          const w2 = edge(v0, v1, px, py);
+          if (w0 < 0 || w1 < 0 || w2 < 0) continue;
+          if ((w0 === 0 && !own0) || (w1 === 0 && !own1) || (w2 === 0 && !own2)) continue;
+
+          const i = x + y * width;
+          const z = (w0 * v0.z + w1 * v1.z + w2 * v2.z) / area;
+          const diff = z - depth[i];
+          if (diff > EPSILON || (diff >= -EPSILON && key >= owner[i] && owner[i] !== 0)) continue;
+
+          depth[i] = z;
+          owner[i] = key;
+          const [r, g, b] = t > (Renderer.bayer4[(x & 3) + (y & 3) * 4] + 0.5) / 16 ? to : from;
+          pixels[i * 4] = r;
+          pixels[i * 4 + 1] = g;
+          pixels[i * 4 + 2] = b;
+          pixels[i * 4 + 3] = 255;
+        }
+      }
+    });
+
+    ctx.putImageData(image, 0, 0);
+  },
+
+  // SVGA three-tone ramp: shadow -> base -> highlight. 'banded' snaps to
+  // the nearest of the three tones instead of blending.
+  shadeColor: (colors, intensity, shading = 'smooth') => {
+    const [from, to, t] = Renderer.toneSpan(colors, intensity);
+    return Renderer.lerpColor(from, to, shading === 'banded' ? Math.round(t) : t);
+  },
+
+  // The two ramp tones an intensity falls between, and the blend factor
+  toneSpan: (colors, intensity) => (
+    intensity < 0.5
+      ? [colors.shadow, colors.base, intensity * 2]
+      : [colors.base, colors.highlight, (intensity - 0.5) * 2]
+  ),
+
+  // 4×4 ordered dither thresholds, row-major, in sixteenths
+  bayer4: [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5],
+
+  // Normalize options.lights (preset name or rig) into colors in 0-1 and unit
+  // directions. Without a rig, lightDir and ambient become one white light.
+  resolveLights: (options) => {
+    const rig = typeof options.lights === 'string' ? LightPresets[options.lights] : options.lights;
+    const white = [1, 1, 1];
+
+    if (!rig) {
+      return {
+        ambient: options.ambient,
+        hemisphere: null,
+        lights: [{ type: 'directional', direction: options.lightDir, color: white, intensity: 1 - options.ambient, range: 1 }],
+        colored: false
+      };
+    }
+
+    const toColor = (color) => (color ? MeshExport.parseColor(color).map(c => c / 255) : white);
+    const normalize = (v) => {
+      const len = Math.sqrt(v[0] ** 2 + v[1] ** 2 + v[2] ** 2) || 1;
+      return v.map(c => c / len);
+    };
+
+    const hemisphere = rig.hemisphere ? {
+      sky: toColor(rig.hemisphere.sky),
+      ground: toColor(rig.hemisphere.ground),
+      intensity: rig.hemisphere.intensity === undefined ? 0.3 : rig.hemisphere.intensity
+    } : null;
+
+    const lights = (rig.lights || []).map(light => ({
+      type: light.type === 'point' ? 'point' : 'directional',
+      direction: light.type === 'point' ? null : normalize(light.direction || [0, -1, 0]),
+      position: light.type === 'point' ? (light.position || [0, 1, 0]) : null,
+      color: toColor(light.color),
+      intensity: light.intensity === undefined ? 1 : light.intensity,
+      range: light.range || 1
+    }));
+
+    const isWhite = (color) => color.every(c => c === 1);
+    const colored = (hemisphere && !(isWhite(hemisphere.sky) && isWhite(hemisphere.ground)))
+      || lights.some(light => !isWhite(light.color));
+
+    return { ambient: rig.ambient === undefined ? 0.2 : rig.ambient, hemisphere, lights, colored };
+  },
+
+  // Light a face from its (inward, as generated) normal and its center in
+  // model units. Intensity drives the three-tone ramp; tint is the mixed
+  // light color scaled so its brightest channel is 1, or null for white.
+  lightFace: (rig, normal, point) => {
+    let intensity = rig.ambient;
+    const tint = [rig.ambient, rig.ambient, rig.ambient];
+    const add = (color, amount) => {
+      intensity += amount;
+      for (let k = 0; k < 3; k++) tint[k] += color[k] * amount;
+    };
+
+    if (rig.hemisphere) {
+      const up = 0.5 - 0.5 * normal[1];
+      add(rig.hemisphere.sky, rig.hemisphere.intensity * up);
+      add(rig.hemisphere.ground, rig.hemisphere.intensity * (1 - up));
+    }
+
+    rig.lights.forEach(light => {
+      let dir = light.direction;
+      let attenuation = 1;
+      if (light.type === 'point') {
+        const d = [0, 1, 2].map(k => point[k] - light.position[k]);
+        const dist = Math.sqrt(d[0] ** 2 + d[1] ** 2 + d[2] ** 2) || 1e-4;
+        dir = d.map(c => c / dist);
+        attenuation = 1 / (1 + (dist / light.range) ** 2);
+      }
+      const dot = Math.max(0, normal[0] * dir[0] + normal[1] * dir[1] + normal[2] * dir[2]);
+      add(light.color, light.intensity * dot * attenuation);
+    });
+
+    const peak = Math.max(tint[0], tint[1], tint[2]);
+    return {
+      intensity: Math.min(1, intensity),
+      // Quantized so shade caches stay small
+      tint: rig.colored && peak > 0 ? tint.map(c => Math.round(c / peak * 32) / 32) : null
+    };
+  },
+
+  // Multiply an rgb() or hex shade by a light tint
+  tintColor: (shade, tint) => {
+    if (!tint) return shade;
+    const [r, g, b] = MeshExport.parseColor(shade);
+    return `rgb(${Math.round(r * tint[0])}, ${Math.round(g * tint[1])}, ${Math.round(b * tint[2])})`;
+  },
+
+  // Intensity multiplier for an occlusion level (0-3, may be averaged);
+  // darkening pushes faces down the ramp toward the shadow tone
+  occlusionFactor: (level, strength = 0.5) => 1 - strength * level / 3,
+
+  // Normalized light direction from the component's light angle (degrees)
+  lightFromAngle: (angle) => {
+    const lightRad = angle * Math.PI / 180;
+    const lightDir = [
+      Math.cos(lightRad) * 0.7,
+      0.5,
+      Math.sin(lightRad) * 0.7
+    ];
+    const lightLen = Math.sqrt(lightDir[0] ** 2 + lightDir[1] ** 2 + lightDir[2] ** 2);
+    return lightDir.map(c => c / lightLen);
+  },
+
+  lerpColor: (c1, c2, t) => {
+    const r1 = parseInt(c1.slice(1, 3), 16);
+    const g1 = parseInt(c1.slice(3, 5), 16);
+    const b1 = parseInt(c1.slice(5, 7), 16);
+    const r2 = parseInt(c2.slice(1, 3), 16);
+    const g2 = parseInt(c2.slice(3, 5), 16);
+    const b2 = parseInt(c2.slice(5, 7), 16);
+    const r = Math.round(r1 + (r2 - r1) * t);
+    const g = Math.round(g1 + (g2 - g1) * t);
+    const b = Math.round(b1 + (b2 - b1) * t);
+    return `rgb(${r}, ${g}, ${b})`;
+  }
+};
+
+// ============================================================================
+// WEBGL RENDERER
+// ============================================================================
+
+const WebGLRenderer = {
+  // Per-context GPU state: program, uploaded meshes and palette textures
+  contexts: new WeakMap(),
+
+  vertexShader: `
+    attribute vec3 a_position;
+    attribute vec3 a_normal;
+    attribute float a_color;
+    attribute float a_occlusion;
+    uniform mat4 u_transform;
+    uniform mat4 u_model;
+    uniform vec4 u_eye;
+    uniform float u_depthScale;
+    varying vec3 v_position;
+    varying vec3 v_normal;
+    varying float v_color;
+    varying float v_occlusion;
+    varying float v_facing;
+    void main() {
+      // u_model places a scene instance; lighting works in scene space
+      vec3 position = (u_model * vec4(a_position, 1.0)).xyz;
+      vec3 normal = (u_model * vec4(a_normal, 0.0)).xyz;
+      vec4 p = u_transform * vec4(position, 1.0);
+      v_position = position;
+      // Positive when the face points away from the eye (w = 1) or along
+      // the view direction (w = 0)
+      v_facing = dot(normal, u_eye.w > 0.5 ? position - u_eye.xyz : u_eye.xyz);
+      // Orthographic depth is squeezed so zoomed-in models stay inside the
+      // clip volume; perspective keeps it, so the near plane clips
+      gl_Position = vec4(p.x, p.y, p.z * u_depthScale, p.w);
+      v_normal = normal;
+      v_color = a_color;
+      v_occlusion = a_occlusion;
+    }
+  `,
+
+  // Lights beyond this many are ignored by the shader
+  maxLights: 4,
+
+  // Renderer.lightFace per pixel, then the SVGA three-tone ramp; palette
+  // rows are shadow, base, highlight
+  fragmentShader: `
+    precision mediump float;
+    uniform sampler2D u_palette;
+    uniform float u_ambient;
+    uniform vec3 u_sky;
+    uniform vec3 u_ground;
+    uniform float u_hemisphere;
+    uniform int u_lightCount;
+    uniform float u_lightType[4];
+    uniform vec3 u_lightVector[4];
+    uniform vec3 u_lightColor[4];
+    uniform float u_lightIntensity[4];
+    uniform float u_lightRange[4];
+    uniform bool u_colored;
+    uniform vec3 u_center;
+    uniform float u_halfExtent;
+    uniform float u_aoStrength;
+    uniform int u_shading;
+    uniform float u_height;
+    uniform bool u_wireframe;
+    uniform vec4 u_wireColor;
+    varying vec3 v_position;
+    varying vec3 v_normal;
+    varying float v_color;
+    varying float v_occlusion;
+    varying float v_facing;
+
+    // Same thresholds as Renderer.bayer4, from the two-level recursion
+    float bayer2(vec2 p) {
+      return 2.0 * abs(p.x - p.y) + p.y;
+    }
+    float bayer4(vec2 pixel) {
+      vec2 p = mod(pixel, 4.0);
+      return (4.0 * bayer2(mod(p, 2.0)) + bayer2(floor(p / 2.0)) + 0.5) / 16.0;
+    }
+
+    void main() {
+      if (u_wireframe) {
+        // Only outline front faces, matching the culled 2D face list
+        if (v_facing > 0.0) discard;
+        gl_FragColor = u_wireColor;
+        return;
+      }
+      float u = (floor(v_color + 0.5) + 0.5) / 256.0;
+      vec3 shadow = texture2D(u_palette, vec2(u, 0.5 / 3.0)).rgb;
+      vec3 base = texture2D(u_palette, vec2(u, 1.5 / 3.0)).rgb;
+      vec3 highlight = texture2D(u_palette, vec2(u, 2.5 / 3.0)).rgb;
+
+      vec3 n = normalize(v_normal);
+      float intensity = u_ambient;
+      vec3 tint = vec3(u_ambient);
+      float up = 0.5 - 0.5 * n.y;
+      intensity += u_hemisphere;
+      tint += (u_sky * up + u_ground * (1.0 - up)) * u_hemisphere;
+
+      vec3 point = (v_position - u_center) / u_halfExtent;
+      for (int i = 0; i < 4; i++) {
+        if (i >= u_lightCount) break;
+        vec3 dir = u_lightVector[i];
+        float attenuation = 1.0;
+        if (u_lightType[i] > 0.5) {
+          vec3 d = point - u_lightVector[i];
+          float dist = max(length(d), 0.0001);
+          dir = d / dist;
+          attenuation = 1.0 / (1.0 + (dist / u_lightRange[i]) * (dist / u_lightRange[i]));
+        }
+        float amount = u_lightIntensity[i] * max(0.0, dot(n, dir)) * attenuation;
+        intensity += amount;
+        tint += u_lightColor[i] * amount;
+      }
+
+      // Occlusion is interpolated across the face instead of averaged
+      intensity = min(intensity, 1.0) * (1.0 - u_aoStrength * v_occlusion / 3.0);
+      vec3 lower = intensity < 0.5 ? shadow : base;
+      vec3 upper = intensity < 0.5 ? base : highlight;
+      float t = intensity < 0.5 ? intensity * 2.0 : (intensity - 0.5) * 2.0;
+      if (u_shading == 1) {
+        t = floor(t + 0.5);
+      } else if (u_shading == 2) {
+        // Canvas rows run top-down, gl_FragCoord bottom-up
+        vec2 pixel = vec2(floor(gl_FragCoord.x), floor(u_height - gl_FragCoord.y));
+        t = t > bayer4(pixel) ? 1.0 : 0.0;
+      }
+      vec3 color = mix(lower, upper, t);
+      if (u_colored) {
+        color *= tint / max(max(tint.r, tint.g), max(tint.b, 0.0001));
+      }
+      gl_FragColor = vec4(color, 1.0);
+    }
+  `,
+
+  // WebGL context for a canvas, or null when unavailable
+  getContext: (canvas) => {
+    if (!canvas || typeof canvas.getContext !== 'function') return null;
+    try {
+      return canvas.getContext('webgl', { alpha: true, antialias: false })
+        || canvas.getContext('experimental-webgl', { alpha: true, antialias: false });
+    } catch (e) {
+      return null;
+    }
+  },
+
+  // Compiled shader, or null when it fails to compile
+  compile: (gl, type, source) => {
+    const shader = gl.createShader(type);
+    if (!shader) return null;
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      gl.deleteShader(shader);
+      return null;
+    }
+    return shader;
+  },
+
+  // Program, locations and uploads for a context, or null when the context
+  // is lost or the shaders fail to compile or link, like getContext
+  // returns null. Shader failures are remembered so a render loop does not
+  // retry them every frame
+  getState: (gl) => {
+    if (WebGLRenderer.contexts.has(gl)) return WebGLRenderer.contexts.get(gl);
+    if (gl.isContextLost()) return null;
+
+    const vertexShader = WebGLRenderer.compile(gl, gl.VERTEX_SHADER, WebGLRenderer.vertexShader);
+    const fragmentShader = WebGLRenderer.compile(gl, gl.FRAGMENT_SHADER, WebGLRenderer.fragmentShader);
+    const program = vertexShader && fragmentShader ? gl.createProgram() : null;
+    if (program) {
+      gl.attachShader(program, vertexShader);
+      gl.attachShader(program, fragmentShader);
+      gl.linkProgram(program);
+    }
+    if (!program || !gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      // A lost context fails every call; it may still be restored
+      if (!gl.isContextLost()) WebGLRenderer.contexts.set(gl, null);
+      return null;
+    }
+
+    const attribute = (name) => gl.getAttribLocation(program, name);
+    const uniform = (name) => gl.getUniformLocation(program, name);
+    const state = {
+      program,
+      attributes: {
+        position: attribute('a_position'),
+        normal: attribute('a_normal'),
+        color: attribute('a_color'),
+        occlusion: attribute('a_occlusion')
+      },
+      uniforms: {
+        transform: uniform('u_transform'),
+        model: uniform('u_model'),
+        eye: uniform('u_eye'),
+        depthScale: uniform('u_depthScale'),
+        palette: uniform('u_palette'),
+        ambient: uniform('u_ambient'),
+        sky: uniform('u_sky'),
+        ground: uniform('u_ground'),
+        hemisphere: uniform('u_hemisphere'),
+        lightCount: uniform('u_lightCount'),
+        lightType: uniform('u_lightType'),
+        lightVector: uniform('u_lightVector'),
+        lightColor: uniform('u_lightColor'),
+        lightIntensity: uniform('u_lightIntensity'),
+        lightRange: uniform('u_lightRange'),
+        colored: uniform('u_colored'),
+        center: uniform('u_center'),
+        halfExtent: uniform('u_halfExtent'),
+        aoStrength: uniform('u_aoStrength'),
+        shading: uniform('u_shading'),
+        height: uniform('u_height'),
+        wireframe: uniform('u_wireframe'),
+        wireColor: uniform('u_wireColor')
+      },
+      // Buffers per mesh and textures per palette, dropped once unused
+      uploads: new Map(),
+      textures: new Map()
+    };
+    WebGLRenderer.contexts.set(gl, state);
+    return state;
+  },
+
+  // Upload a mesh as flat triangles plus a deduplicated edge list. Called
+  // only for mesh objects not uploaded yet, i.e. once per regeneration.
+  upload: (gl, mesh) => {
+    const triangleCount = mesh.faces.length / 3;
+    const positions = new Float32Array(triangleCount * 9);
+    const normals = new Float32Array(triangleCount * 9);
+    const colors = new Float32Array(triangleCount * 3);
+    const occlusion = new Float32Array(triangleCount * 3);
+    const edges = [];
+    const edgeNormals = [];
+    const seen = new Set();
+
+    for (let t = 0; t < triangleCount; t++) {
+      const corners = [mesh.faces[t * 3], mesh.faces[t * 3 + 1], mesh.faces[t * 3 + 2]];
+      // Same cross product Renderer.render lights with
+      const normal = MeshExport.faceNormal(mesh.vertices, corners[0], corners[1], corners[2]);
+      const colorIndex = mesh.colors[corners[0]] || 1;
+
+      corners.forEach((index, k) => {
+        for (let c = 0; c < 3; c++) {
+          positions[t * 9 + k * 3 + c] = mesh.vertices[index * 3 + c];
+          normals[t * 9 + k * 3 + c] = normal[c];
+        }
+        colors[t * 3 + k] = colorIndex;
+        occlusion[t * 3 + k] = mesh.occlusion ? mesh.occlusion[index] : 0;
+
+        const next = corners[(k + 1) % 3];
+        const key = index < next ? `${index}-${next}` : `${next}-${index}`;
+        if (!seen.has(key)) {
+          seen.add(key);
+          for (let c = 0; c < 3; c++) edges.push(mesh.vertices[index * 3 + c]);
+          for (let c = 0; c < 3; c++) edges.push(mesh.vertices[next * 3 + c]);
+          edgeNormals.push(...normal, ...normal);
+        }
+      });
+    }
+
+    const createBuffer = (data) => {
+      const buffer = gl.createBuffer();
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+      gl.bufferData(gl.ARRAY_BUFFER, data, gl.STATIC_DRAW);
+      return buffer;
+    };
+
+    return {
+      positions: createBuffer(positions),
+      normals: createBuffer(normals),
+      colors: createBuffer(colors),
+      occlusion: createBuffer(occlusion),
+      edges: createBuffer(new Float32Array(edges)),
+      edgeNormals: createBuffer(new Float32Array(edgeNormals)),
+      vertexCount: triangleCount * 3,
+      edgeVertexCount: edges.length / 3
+    };
+  },
+
+  release: (gl, buffers) => {
+    const { positions, normals, colors, occlusion, edges, edgeNormals } = buffers;
+    [positions, normals, colors, occlusion, edges, edgeNormals].forEach(buffer => gl.deleteBuffer(buffer));
+  },
+
+  // 256×3 lookup texture: rows are shadow, base and highlight
+  uploadPalette: (gl, colorPalette) => {
+    const pixels = new Uint8Array(256 * 3 * 4);
+    ['shadow', 'base', 'highlight'].forEach((tone, row) => {
+      for (let i = 0; i < 256; i++) {
+        const entry = colorPalette[i] || colorPalette[1];
+        const [r, g, b] = MeshExport.parseColor(entry[tone]);
+        const offset = (row * 256 + i) * 4;
+        pixels[offset] = r;
+        pixels[offset + 1] = g;
+        pixels[offset + 2] = b;
+        pixels[offset + 3] = 255;
+      }
+    });
+
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 256, 3, 0, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return texture;
+  },
+
+  // Upload a resolved light rig into the fragment shader's uniforms
+  setLights: (gl, uniforms, rig) => {
+    const lights = rig.lights.slice(0, WebGLRenderer.maxLights);
+    // Arrays may be shorter than the shader's; unused slots are skipped
+    const flat = (pick) => new Float32Array(lights.flatMap(pick));
+
+    gl.uniform1f(uniforms.ambient, rig.ambient);
+    gl.uniform1f(uniforms.hemisphere, rig.hemisphere ? rig.hemisphere.intensity : 0);
+    gl.uniform3fv(uniforms.sky, rig.hemisphere ? rig.hemisphere.sky : [1, 1, 1]);
+    gl.uniform3fv(uniforms.ground, rig.hemisphere ? rig.hemisphere.ground : [1, 1, 1]);
+    gl.uniform1i(uniforms.lightCount, lights.length);
+    gl.uniform1i(uniforms.colored, rig.colored ? 1 : 0);
+    if (lights.length === 0) return;
+
+    gl.uniform1fv(uniforms.lightType, flat(light => [light.type === 'point' ? 1 : 0]));
+    gl.uniform3fv(uniforms.lightVector, flat(light => (light.type === 'point' ? light.position : light.direction)));
+    gl.uniform3fv(uniforms.lightColor, flat(light => light.color));
+    gl.uniform1fv(uniforms.lightIntensity, flat(light => [light.intensity]));
+    gl.uniform1fv(uniforms.lightRange, flat(light => [light.range]));
+  },
+
+  // Transparent clear so the 2D background underneath shows through
+  clear: (gl) => {
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+  },
+
+  // Drop a context's program and uploads, e.g. once it has been lost; the
+  // next render builds them again
+  forget: (gl) => {
+    WebGLRenderer.contexts.delete(gl);
+  },
+
+  // Same signature and options as Renderer.render, scenes included.
+  // Returns false when the context cannot draw (see getState), so the
+  // caller can fall back to Renderer.render
+  render: (gl, mesh, transform, options) => {
+    const { width, height, showFaces, palette, aoStrength = 0.5, shading = 'smooth', paletteLocked = false } = options;
+    const wireframe = options.wireframe && !paletteLocked;
+
+    const state = WebGLRenderer.getState(gl);
+    if (!state) return false;
+
+    gl.viewport(0, 0, width, height);
+    WebGLRenderer.clear(gl);
+    if (!mesh) return true;
+    const instances = mesh.instances || [{ mesh, matrix: null, palette: null }];
+    if (!instances.some(instance => instance.mesh.vertices.length > 0)) return true;
+
+    const colorPalette = PaletteRegistry.resolve(palette);
+
+    // Instances of one prop share its buffers. Meshes and palettes this
+    // frame no longer draws are freed
+    const meshes = new Set(instances.map(instance => instance.mesh));
+    const palettes = new Set(instances.map(instance => instance.palette || colorPalette));
+    state.uploads.forEach((buffers, uploaded) => {
+      if (meshes.has(uploaded)) return;
+      WebGLRenderer.release(gl, buffers);
+      state.uploads.delete(uploaded);
+    });
+    state.textures.forEach((texture, uploaded) => {
+      if (palettes.has(uploaded)) return;
+      gl.deleteTexture(texture);
+      state.textures.delete(uploaded);
+    });
+    meshes.forEach(m => {
+      if (!state.uploads.has(m)) state.uploads.set(m, WebGLRenderer.upload(gl, m));
+    });
+    palettes.forEach(p => {
+      if (!state.textures.has(p)) state.textures.set(p, WebGLRenderer.uploadPalette(gl, p));
+    });
+
+    const { attributes, uniforms } = state;
+    gl.useProgram(state.program);
+
+    // Matrix is row-major; WebGL expects column-major
+    const columns = (m) => {
+      const result = new Float32Array(16);
+      for (let row = 0; row < 4; row++) {
+        for (let col = 0; col < 4; col++) result[col * 4 + row] = m[row * 4 + col];
+      }
+      return result;
+    };
+    gl.uniformMatrix4fv(uniforms.transform, false, columns(transform));
+    const eye = Camera.eye(transform) || { direction: [0, 0, 1] };
+    if (eye.position) gl.uniform4f(uniforms.eye, ...eye.position, 1);
+    else gl.uniform4f(uniforms.eye, ...eye.direction, 0);
+    gl.uniform1f(uniforms.depthScale, Matrix.isPerspective(transform) ? 1 : 0.1);
+    const rig = Renderer.resolveLights(options);
+    // Palette lock keeps light intensities but drops their colors
+    WebGLRenderer.setLights(gl, uniforms, paletteLocked ? { ...rig, colored: false } : rig);
+    const toneMode = paletteLocked && shading === 'smooth' ? 'banded' : shading;
+    gl.uniform1i(uniforms.shading, ['smooth', 'banded', 'dithered'].indexOf(toneMode));
+    gl.uniform1f(uniforms.height, height);
+    gl.uniform3f(uniforms.center, mesh.width / 2, mesh.height / 2, mesh.depth / 2);
+    gl.uniform1f(uniforms.halfExtent, Math.max(mesh.width, mesh.height, mesh.depth) / 2);
+    gl.uniform1f(uniforms.aoStrength, aoStrength);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.uniform1i(uniforms.palette, 0);
+
+    const bindAttribute = (location, buffer, size) => {
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+      gl.enableVertexAttribArray(location);
+      gl.vertexAttribPointer(location, size, gl.FLOAT, false, 0, 0);
+    };
+    const identity = columns(Matrix.identity());
+    const setModel = (instance) => {
+      gl.uniformMatrix4fv(uniforms.model, false, instance.matrix ? columns(instance.matrix) : identity);
+    };
+
+    if (showFaces) {
+      // Screen Y points down in Renderer.render, so its visible faces are clockwise here
+      gl.enable(gl.DEPTH_TEST);
+      gl.depthFunc(gl.LESS);
+      gl.enable(gl.CULL_FACE);
+      gl.frontFace(gl.CW);
+      gl.cullFace(gl.BACK);
+      gl.disable(gl.BLEND);
+      gl.uniform1i(uniforms.wireframe, 0);
+
+      instances.forEach(instance => {
+        const buffers = state.uploads.get(instance.mesh);
+        setModel(instance);
+        gl.bindTexture(gl.TEXTURE_2D, state.textures.get(instance.palette || colorPalette));
+        bindAttribute(attributes.position, buffers.positions, 3);
+        bindAttribute(attributes.normal, buffers.normals, 3);
+        bindAttribute(attributes.color, buffers.colors, 1);
+        bindAttribute(attributes.occlusion, buffers.occlusion, 1);
+        gl.drawArrays(gl.TRIANGLES, 0, buffers.vertexCount);
+      });
+    }
+
+    if (wireframe) {
+      // Drawn on top like the 2D path
+      // Alpha is the fourth rgba() value or the AA of #RRGGBBAA
+      const wireColor = options.wireframeColor || 'rgba(0, 255, 200, 0.6)';
+      const [r, g, b] = MeshExport.parseColor(wireColor);
+      const a = wireColor[0] === '#'
+        ? (wireColor.length === 9 ? parseInt(wireColor.slice(7, 9), 16) / 255 : 1)
+        : Number(wireColor.match(/[\d.]+/g)[3] || 1);
+      gl.disable(gl.DEPTH_TEST);
+      gl.enable(gl.BLEND);
+      gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+      gl.lineWidth(options.wireframeWidth || 1);
+      gl.disableVertexAttribArray(attributes.color);
+      gl.disableVertexAttribArray(attributes.occlusion);
+      gl.uniform1i(uniforms.wireframe, 1);
+      gl.uniform4f(uniforms.wireColor, r / 255, g / 255, b / 255, a);
+
+      instances.forEach(instance => {
+        const buffers = state.uploads.get(instance.mesh);
+        setModel(instance);
+        bindAttribute(attributes.position, buffers.edges, 3);
+        bindAttribute(attributes.normal, buffers.edgeNormals, 3);
+        gl.drawArrays(gl.LINES, 0, buffers.edgeVertexCount);
+      });
+    }
+    return true;
+  }
+};
+
+// ============================================================================
+// MESH EXPORT
+// ============================================================================
+
+const MeshExport = {
+  // Faces from generateMesh wind clockwise seen from outside; this is the
+  // same cross product Renderer.render lights with, so baked colors match
+  faceNormal: (vertices, i0, i1, i2) => {
+    const e1 = [0, 1, 2].map(k => vertices[i1 * 3 + k] - vertices[i0 * 3 + k]);
+    const e2 = [0, 1, 2].map(k => vertices[i2 * 3 + k] - vertices[i0 * 3 + k]);
+    const normal = [
+      e1[1] * e2[2] - e1[2] * e2[1],
+      e1[2] * e2[0] - e1[0] * e2[2],
+      e1[0] * e2[1] - e1[1] * e2[0]
+    ];
+    const len = Math.sqrt(normal[0] ** 2 + normal[1] ** 2 + normal[2] ** 2);
+    return len > 0 ? normal.map(c => c / len) : normal;
+  },
+
+  // Resolve a palette name or object to a palette object
+  resolvePalette: (palette) => PaletteRegistry.resolve(palette),
+
+  parseColor: (color) => {
+    if (color[0] === '#') {
+      return [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+    }
+    return color.match(/\d+/g).slice(0, 3).map(Number);
+  },
 
-const Renderer = {
-  render: (ctx, mesh, transform, options) => {
-    const { width, height, wireframe, showFaces, palette, lightDir, ambient } = options;
-    
-    if (!mesh || mesh.vertices.length === 0) return;
+  srgbToLinear: (c) => {
+    const v = c / 255;
+    return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+  },
 
-    const colorPalette = ColorPalettes[palette] || ColorPalettes.default;
-    
-    // Transform all vertices
-    const transformedVerts = [];
-    for (let i = 0; i < mesh.vertices.length; i += 3) {
-      const p = Matrix.transformPoint(transform, [
-        mesh.vertices[i],
-        mesh.vertices[i + 1],
-        mesh.vertices[i + 2]
-      ]);
-      transformedVerts.push({
-        x: (p[0] + 1) * width / 2,
-        y: (1 - p[1]) * height / 2,
-        z: p[2]
-      });
+  // Flatten a mesh into typed arrays with outward normals and RGB (0-255)
+  // vertex colors; vertices of generateMesh are never shared between quads
+  buildArrays: (mesh, options = {}) => {
+    const {
+      palette = 'default',
+      bakeShading = false,
+      lightDir = Renderer.lightFromAngle(45),
+      ambient = 0.3,
+      lights = null,
+      scale = 1,
+      center = true
+    } = options;
+
+    const colorPalette = MeshExport.resolvePalette(palette);
+    const rig = Renderer.resolveLights({ lights, lightDir, ambient });
+    const middle = [mesh.width / 2, mesh.height / 2, mesh.depth / 2];
+    const halfExtent = Math.max(mesh.width, mesh.height, mesh.depth) / 2;
+    const vertexCount = mesh.vertices.length / 3;
+    const offset = center ? [mesh.width / 2, 0, mesh.depth / 2] : [0, 0, 0];
+
+    const positions = new Float32Array(vertexCount * 3);
+    const normals = new Float32Array(vertexCount * 3);
+    const colors = new Uint8Array(vertexCount * 3);
+    const indices = new Uint32Array(mesh.faces.length);
+
+    for (let i = 0; i < vertexCount; i++) {
+      for (let k = 0; k < 3; k++) {
+        positions[i * 3 + k] = (mesh.vertices[i * 3 + k] - offset[k]) * scale;
+      }
     }
 
-    // Build face list with depth sorting
-    const faceList = [];
     for (let i = 0; i < mesh.faces.length; i += 3) {
       const i0 = mesh.faces[i];
       const i1 = mesh.faces[i + 1];
       const i2 = mesh.faces[i + 2];
-      
-      const v0 = transformedVerts[i0];
-      const v1 = transformedVerts[i1];
-      const v2 = transformedVerts[i2];
-
-      // Calculate face normal for backface culling
-      const ax = v1.x - v0.x, ay = v1.y - v0.y;
-      const bx = v2.x - v0.x, by = v2.y - v0.y;
-      const cross = ax * by - ay * bx;
-      
-      // Backface culling
-      if (cross < 0) continue;
 
-      // Calculate 3D normal for lighting
-      const p0 = [mesh.vertices[i0 * 3], mesh.vertices[i0 * 3 + 1], mesh.vertices[i0 * 3 + 2]];
-      const p1 = [mesh.vertices[i1 * 3], mesh.vertices[i1 * 3 + 1], mesh.vertices[i1 * 3 + 2]];
-      const p2 = [mesh.vertices[i2 * 3], mesh.vertices[i2 * 3 + 1], mesh.vertices[i2 * 3 + 2]];
-      
-      const e1 = [p1[0] - p0[0], p1[1] - p0[1], p1[2] - p0[2]];
-      const e2 = [p2[0] - p0[0], p2[1] - p0[1], p2[2] - p0[2]];
-      const normal = [
-        e1[1] * e2[2] - e1[2] * e2[1],
-        e1[2] * e2[0] - e1[0] * e2[2],
-        e1[0] * e2[1] - e1[1] * e2[0]
-      ];
-      const len = Math.sqrt(normal[0] ** 2 + normal[1] ** 2 + normal[2] ** 2);
-      if (len > 0) {
-        normal[0] /= len;
-        normal[1] /= len;
-        normal[2] /= len;
-      }
+      // Reverse winding so front faces are counter-clockwise
+      indices[i] = i0;
+      indices[i + 1] = i2;
+      indices[i + 2] = i1;
+
+      const normal = MeshExport.faceNormal(mesh.vertices, i0, i1, i2);
+      const entry = colorPalette[mesh.colors[i0]] || colorPalette[1];
+      const point = [0, 1, 2].map(k => (
+        (mesh.vertices[i0 * 3 + k] + mesh.vertices[i1 * 3 + k] + mesh.vertices[i2 * 3 + k]) / 3 - middle[k]
+      ) / halfExtent);
+      const { intensity, tint } = Renderer.lightFace(rig, normal, point);
+
+      [i0, i1, i2].forEach(v => {
+        // Baked colors include per-corner occlusion when the mesh has it
+        const rgb = bakeShading
+          ? MeshExport.parseColor(Renderer.tintColor(Renderer.shadeColor(entry,
+            mesh.occlusion ? intensity * Renderer.occlusionFactor(mesh.occlusion[v]) : intensity), tint))
+          : MeshExport.parseColor(entry.base);
+        for (let k = 0; k < 3; k++) {
+          normals[v * 3 + k] = -normal[k];
+          colors[v * 3 + k] = rgb[k];
+        }
+      });
+    }
+
+    return { positions, normals, colors, indices, vertexCount };
+  },
 
-      const dot = Math.max(0, normal[0] * lightDir[0] + normal[1] * lightDir[1] + normal[2] * lightDir[2]);
-      const intensity = ambient + (1 - ambient) * dot;
+  // Build the glTF JSON document and its binary buffer
+  buildGLTF: (mesh, options = {}) => {
+    const { bakeShading = false, name = 'VoxelProp' } = options;
+    const { positions, normals, colors, indices, vertexCount } = MeshExport.buildArrays(mesh, options);
 
-      const avgZ = (v0.z + v1.z + v2.z) / 3;
-      const colorIndex = mesh.colors[i0] || 1;
+    const linearColors = new Float32Array(colors.length);
+    for (let i = 0; i < colors.length; i++) {
+      linearColors[i] = MeshExport.srgbToLinear(colors[i]);
+    }
+
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < positions.length; i += 3) {
+      for (let k = 0; k < 3; k++) {
+        min[k] = Math.min(min[k], positions[i + k]);
+        max[k] = Math.max(max[k], positions[i + k]);
+      }
+    }
 
-      faceList.push({
-        verts: [v0, v1, v2],
-        z: avgZ,
-        intensity,
-        colorIndex,
-        indices: [i0, i1, i2]
+    const arrays = [positions, normals, linearColors, indices];
+    const byteLength = arrays.reduce((sum, a) => sum + a.byteLength, 0);
+    const bin = new Uint8Array(byteLength);
+    const bufferViews = [];
+    let byteOffset = 0;
+    arrays.forEach((array, i) => {
+      bin.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), byteOffset);
+      bufferViews.push({
+        buffer: 0,
+        byteOffset,
+        byteLength: array.byteLength,
+        target: i === 3 ? 34963 : 34962
       });
+      byteOffset += array.byteLength;
+    });
+
+    const material = {
+      name: 'VoxelPalette',
+      pbrMetallicRoughness: { baseColorFactor: [1, 1, 1, 1], metallicFactor: 0, roughnessFactor: 1 }
+    };
+    // Baked colors already contain the lighting, so ask viewers not to relight
+    if (bakeShading) {
+      material.extensions = { KHR_materials_unlit: {} };
     }
 
-    // Depth sort
-    faceList.sort((a, b) => b.z - a.z);
+    const json = {
+      asset: { version: '2.0', generator: 'VoxelProps' },
+      scene: 0,
+      scenes: [{ nodes: [0] }],
+      nodes: [{ mesh: 0, name }],
+      meshes: [{
+        name,
+        primitives: [{
+          attributes: { POSITION: 0, NORMAL: 1, COLOR_0: 2 },
+          indices: 3,
+          material: 0,
+          mode: 4
+        }]
+      }],
+      materials: [material],
+      accessors: [
+        { bufferView: 0, componentType: 5126, count: vertexCount, type: 'VEC3', min, max },
+        { bufferView: 1, componentType: 5126, count: vertexCount, type: 'VEC3' },
+        { bufferView: 2, componentType: 5126, count: vertexCount, type: 'VEC3' },
+        { bufferView: 3, componentType: 5125, count: indices.length, type: 'SCALAR' }
+      ],
+      bufferViews,
+      buffers: [{ byteLength }]
+    };
+    if (bakeShading) {
+      json.extensionsUsed = ['KHR_materials_unlit'];
+    }
 
-    // Render faces
-    if (showFaces) {
-      faceList.forEach(face => {
-        const colors = colorPalette[face.colorIndex] || colorPalette[1];
-        
-        let color;
-        if (face.intensity < 0.5) {
-          const t = face.intensity * 2;
-          color = Renderer.lerpColor(colors.shadow, colors.base, t);
+    return { json, bin };
+  },
+
+  // Standalone .gltf document with the buffer embedded as a data URI
+  toGLTF: (mesh, options = {}) => {
+    const { json, bin } = MeshExport.buildGLTF(mesh, options);
+    let binary = '';
+    for (let i = 0; i < bin.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bin.subarray(i, i + 0x8000));
+    }
+    json.buffers[0].uri = 'data:application/octet-stream;base64,' + btoa(binary);
+    return json;
+  },
+
+  // Binary .glb container: header, JSON chunk, BIN chunk
+  toGLB: (mesh, options = {}) => {
+    const { json, bin } = MeshExport.buildGLTF(mesh, options);
+    const pad = (n) => (4 - (n % 4)) % 4;
+
+    const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+    const jsonLength = jsonBytes.length + pad(jsonBytes.length);
+    const binLength = bin.length + pad(bin.length);
+    const total = 12 + 8 + jsonLength + 8 + binLength;
+
+    const buffer = new ArrayBuffer(total);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    view.setUint32(0, 0x46546C67, true); // 'glTF'
+    view.setUint32(4, 2, true);
+    view.setUint32(8, total, true);
+
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, 0x4E4F534A, true); // 'JSON'
+    bytes.set(jsonBytes, 20);
+    bytes.fill(0x20, 20 + jsonBytes.length, 20 + jsonLength);
+
+    const binStart = 20 + jsonLength;
+    view.setUint32(binStart, binLength, true);
+    view.setUint32(binStart + 4, 0x004E4942, true); // 'BIN'
+    bytes.set(bin, binStart + 8);
+
+    return buffer;
+  },
+
+  // Closed surface for printing from a mesh in voxel units. Quads on the
+  // lattice are cut into unit squares, so greedy quads leave no
+  // T-junctions, and coincident squares are kept once: the symmetric path
+  // in generateMesh emits the seam twice and, for odd sizes, the center
+  // column twice, greedy or not. Squares facing each other on the same
+  // vertices cancel out. Returns faceColors per triangle.
+  weld: (mesh) => {
+    const lookup = new Map();
+    const vertices = [];
+    const vertexAt = (point) => {
+      const key = point.join(',');
+      if (!lookup.has(key)) {
+        lookup.set(key, vertices.length / 3);
+        vertices.push(...point);
+      }
+      return lookup.get(key);
+    };
+    const pointOf = (i) => [mesh.vertices[i * 3], mesh.vertices[i * 3 + 1], mesh.vertices[i * 3 + 2]];
+
+    const squares = new Map();
+    const addSquare = (tris, normal, color) => {
+      const axis = normal.map(Math.round).join(',');
+      const plane = [...new Set(tris)].sort((a, b) => a - b).join(',');
+      const opposite = `${plane}|${normal.map(c => -Math.round(c)).join(',')}`;
+      const key = `${plane}|${axis}`;
+      if (squares.has(opposite)) {
+        squares.delete(opposite);
+      } else if (!squares.has(key)) {
+        squares.set(key, { tris, color });
+      }
+    };
+
+    // generateMesh emits each quad as two consecutive triangles, or as a
+    // four-triangle fan whose triangles start with the center vertex, the
+    // quad's last and highest index. Copies keep that first index in place
+    for (let i = 0; i < mesh.faces.length;) {
+      const fan = mesh.faces[i] > mesh.faces[i + 1] && mesh.faces[i] > mesh.faces[i + 2];
+      const count = fan ? 12 : 6;
+      const tris = mesh.faces.slice(i, i + count);
+      const color = mesh.colors[tris[1]];
+      const normal = MeshExport.faceNormal(mesh.vertices, tris[0], tris[1], tris[2]);
+      i += count;
+
+      // Mirrored quads have reversed winding, so collect corners as a set
+      const corners = [...new Set(fan ? tris.filter((v, k) => k % 3 !== 0) : tris)].map(pointOf);
+      const w = normal.findIndex(c => Math.abs(c) > 0.5);
+      const u = (w + 1) % 3;
+      const v = (w + 2) % 3;
+      const low = [0, 1, 2].map(k => Math.min(...corners.map(p => p[k])));
+      const high = [0, 1, 2].map(k => Math.max(...corners.map(p => p[k])));
+      const onLattice = corners.length === 4 && low[w] === high[w] &&
+        corners.every(p => p.every(Number.isInteger) && (p[u] === low[u] || p[u] === high[u]) && (p[v] === low[v] || p[v] === high[v]));
+      if (!onLattice) {
+        addSquare(tris.map(k => vertexAt(pointOf(k))), normal, color);
+        continue;
+      }
+
+      // Unit squares wind like the quad: u then v turns toward +w
+      for (let a = low[u]; a < high[u]; a++) {
+        for (let b = low[v]; b < high[v]; b++) {
+          const ring = [[a, b], [a + 1, b], [a + 1, b + 1], [a, b + 1]].map(([pu, pv]) => {
+            const point = [0, 0, 0];
+            point[w] = low[w];
+            point[u] = pu;
+            point[v] = pv;
+            return vertexAt(point);
+          });
+          if (normal[w] < 0) ring.reverse();
+          addSquare([ring[0], ring[1], ring[2], ring[0], ring[2], ring[3]], normal, color);
+        }
+      }
+    }
+
+    const faces = [];
+    const faceColors = [];
+    squares.forEach(({ tris, color }) => {
+      faces.push(...tris);
+      for (let t = 0; t < tris.length; t += 3) faceColors.push(color);
+    });
+
+    // Voxels touching only along an edge put four faces on it, and voxels
+    // touching only at a corner share that vertex. Triangle corners are
+    // joined through paired edges, and every separate group around a
+    // vertex gets its own copy of it. On a four-face edge each face first
+    // pairs with the one bounding the same voxel. When both ends of the
+    // edge still fall in one group, as where the two voxels also meet
+    // through their neighbors, the edge pairs the other way round, which
+    // splits the groups at both ends and never merges any
+    const next = (slot) => slot - (slot % 3) + (slot + 1) % 3;
+    const cornerAt = (slot, vertex) => {
+      const start = slot - (slot % 3);
+      return [start, start + 1, start + 2].find(s => faces[s] === vertex);
+    };
+
+    const edges = new Map();
+    faces.forEach((a, slot) => {
+      const b = faces[next(slot)];
+      const key = a < b ? `${a},${b}` : `${b},${a}`;
+      if (!edges.has(key)) edges.set(key, []);
+      edges.get(key).push(slot);
+    });
+
+    const dot = (p, q) => p[0] * q[0] + p[1] * q[1] + p[2] * q[2];
+
+    // Direction from the edge into the face, minus the outward normal: the
+    // two faces around one voxel's edge point the same way
+    const heading = (slot) => {
+      const start = slot - (slot % 3);
+      const [a, b, c] = [slot, next(slot), next(next(slot))].map(s => faces[s]);
+      const along = [0, 1, 2].map(k => vertices[b * 3 + k] - vertices[a * 3 + k]);
+      const toward = [0, 1, 2].map(k => vertices[c * 3 + k] - vertices[a * 3 + k]);
+      const projection = dot(along, toward) / dot(along, along);
+      const inward = toward.map((value, k) => value - along[k] * projection);
+      const length = Math.sqrt(dot(inward, inward)) || 1;
+      const normal = MeshExport.faceNormal(vertices, faces[start], faces[start + 1], faces[start + 2]);
+      return inward.map((value, k) => value / length + normal[k]);
+    };
+
+    const pairings = [];
+    edges.forEach(slots => {
+      const forward = slots.filter(slot => faces[slot] < faces[next(slot)]);
+      const backward = slots.filter(slot => faces[slot] > faces[next(slot)]);
+      if (slots.length === 4 && forward.length === 2) {
+        const ahead = heading(forward[0]);
+        const [first, second] = dot(heading(backward[0]), ahead) >= dot(heading(backward[1]), ahead)
+          ? backward
+          : [backward[1], backward[0]];
+        pairings.push({ pairs: [[forward[0], first], [forward[1], second]], ends: [faces[forward[0]], faces[next(forward[0])]] });
+        return;
+      }
+      const pairs = [];
+      for (let k = 0; k + 1 < slots.length; k += 2) pairs.push([slots[k], slots[k + 1]]);
+      pairings.push({ pairs, ends: null });
+    });
+
+    const parent = faces.map((v, slot) => slot);
+    const find = (slot) => {
+      while (parent[slot] !== slot) slot = parent[slot] = parent[parent[slot]];
+      return slot;
+    };
+    const group = () => {
+      parent.forEach((v, slot) => {
+        parent[slot] = slot;
+      });
+      pairings.forEach(({ pairs }) => pairs.forEach(([p, q]) => {
+        [faces[p], faces[next(p)]].forEach((vertex) => {
+          parent[find(cornerAt(p, vertex))] = find(cornerAt(q, vertex));
+        });
+      }));
+    };
+
+    // A flip only changes the groups at its own two vertices, so each pass
+    // flips edges that share no vertex and then regroups
+    for (let flipped = true; flipped;) {
+      group();
+      flipped = false;
+      const touched = new Set();
+      pairings.forEach(edge => {
+        if (!edge.ends || edge.ends.some(vertex => touched.has(vertex))) return;
+        const [[p0, q0], [p1, q1]] = edge.pairs;
+        if (edge.ends.every(vertex => find(cornerAt(p0, vertex)) === find(cornerAt(p1, vertex)))) {
+          edge.pairs = [[p0, q1], [p1, q0]];
+          edge.ends.forEach(vertex => touched.add(vertex));
+          flipped = true;
+        }
+      });
+    }
+
+    const copies = new Map();
+    const claimed = new Set();
+    faces.forEach((v, slot) => {
+      const key = `${v}|${find(slot)}`;
+      if (!copies.has(key)) {
+        if (claimed.has(v)) {
+          copies.set(key, vertices.length / 3);
+          vertices.push(vertices[v * 3], vertices[v * 3 + 1], vertices[v * 3 + 2]);
         } else {
-          const t = (face.intensity - 0.5) * 2;
-          color = Renderer.lerpColor(colors.base, colors.highlight, t);
+          copies.set(key, v);
+          claimed.add(v);
         }
+      }
+      faces[slot] = copies.get(key);
+    });
 
-        ctx.fillStyle = color;
-        ctx.beginPath();
-        ctx.moveTo(face.verts[0].x, face.verts[0].y);
-        ctx.lineTo(face.verts[1].x, face.verts[1].y);
-        ctx.lineTo(face.verts[2].x, face.verts[2].y);
-        ctx.closePath();
-        ctx.fill();
+    return {
+      vertices, faces, faceColors,
+      size: mesh.size, width: mesh.width, height: mesh.height, depth: mesh.depth,
+      symmetric: mesh.symmetric, welded: true
+    };
+  },
+
+  // Shared preparation for the file exporters: transformed positions,
+  // counter-clockwise triangles, outward normals and palette index per triangle
+  prepare: (mesh, options = {}) => {
+    const { scale = 1, center = true, manifold = false, zUp = false } = options;
+    const source = manifold ? MeshExport.weld(mesh) : mesh;
+    const offset = center ? [mesh.width / 2, 0, mesh.depth / 2] : [0, 0, 0];
+    const vertexCount = source.vertices.length / 3;
+
+    // Z-up is a +90° turn around X, which keeps the winding intact
+    const orient = (x, y, z) => (zUp ? [x, -z, y] : [x, y, z]);
+
+    const positions = new Float32Array(vertexCount * 3);
+    for (let i = 0; i < vertexCount; i++) {
+      const p = orient(
+        (source.vertices[i * 3] - offset[0]) * scale,
+        (source.vertices[i * 3 + 1] - offset[1]) * scale,
+        (source.vertices[i * 3 + 2] - offset[2]) * scale
+      );
+      positions.set(p, i * 3);
+    }
+
+    const triangleCount = source.faces.length / 3;
+    const triangles = new Uint32Array(source.faces.length);
+    const normals = new Float32Array(triangleCount * 3);
+    const colorIndices = new Uint8Array(triangleCount);
+
+    for (let t = 0; t < triangleCount; t++) {
+      const i0 = source.faces[t * 3];
+      const i1 = source.faces[t * 3 + 1];
+      const i2 = source.faces[t * 3 + 2];
+      triangles[t * 3] = i0;
+      triangles[t * 3 + 1] = i2;
+      triangles[t * 3 + 2] = i1;
+
+      const normal = MeshExport.faceNormal(source.vertices, i0, i1, i2);
+      normals.set(orient(-normal[0], -normal[1], -normal[2]), t * 3);
+      colorIndices[t] = source.faceColors ? source.faceColors[t] : source.colors[i0];
+    }
+
+    return { positions, triangles, normals, colorIndices, vertexCount, triangleCount };
+  },
+
+  // Wavefront OBJ plus an MTL with one material per palette index
+  // Returns { obj, mtl } strings
+  toOBJ: (mesh, options = {}) => {
+    const { palette = 'default', name = 'VoxelProp' } = options;
+    const colorPalette = MeshExport.resolvePalette(palette);
+    const { positions, triangles, normals, colorIndices, vertexCount, triangleCount } = MeshExport.prepare(mesh, options);
+
+    const lines = ['# VoxelProps OBJ export', `mtllib ${name}.mtl`, `o ${name}`];
+    for (let i = 0; i < vertexCount; i++) {
+      lines.push(`v ${positions[i * 3]} ${positions[i * 3 + 1]} ${positions[i * 3 + 2]}`);
+    }
+
+    // Voxel faces only ever point along the six axes, so share their normals
+    const normalIndex = new Map();
+    for (let t = 0; t < triangleCount; t++) {
+      const key = `${normals[t * 3]} ${normals[t * 3 + 1]} ${normals[t * 3 + 2]}`;
+      if (!normalIndex.has(key)) {
+        normalIndex.set(key, normalIndex.size + 1);
+        lines.push(`vn ${key}`);
+      }
+    }
+
+    // Group triangles by material
+    const groups = new Map();
+    for (let t = 0; t < triangleCount; t++) {
+      if (!groups.has(colorIndices[t])) groups.set(colorIndices[t], []);
+      groups.get(colorIndices[t]).push(t);
+    }
+
+    const mtl = ['# VoxelProps MTL export'];
+    [...groups.keys()].sort((a, b) => a - b).forEach(colorIndex => {
+      const entry = colorPalette[colorIndex] || colorPalette[1];
+      const [r, g, b] = MeshExport.parseColor(entry.base).map(c => (c / 255).toFixed(4));
+      mtl.push('', `newmtl palette_${colorIndex}`, `Kd ${r} ${g} ${b}`, 'Ka 0 0 0', 'Ks 0 0 0', 'd 1', 'illum 1');
+
+      lines.push(`usemtl palette_${colorIndex}`);
+      groups.get(colorIndex).forEach(t => {
+        const n = normalIndex.get(`${normals[t * 3]} ${normals[t * 3 + 1]} ${normals[t * 3 + 2]}`);
+        const [v0, v1, v2] = [triangles[t * 3] + 1, triangles[t * 3 + 1] + 1, triangles[t * 3 + 2] + 1];
+        lines.push(`f ${v0}//${n} ${v1}//${n} ${v2}//${n}`);
       });
+    });
+
+    return { obj: lines.join('\n') + '\n', mtl: mtl.join('\n') + '\n' };
+  },
+
+  // Binary STL for 3D printing; manifold and Z-up unless told otherwise
+  toSTL: (mesh, options = {}) => {
+    const { manifold = true, zUp = true } = options;
+    const { positions, triangles, normals, triangleCount } = MeshExport.prepare(mesh, { ...options, manifold, zUp });
+
+    const buffer = new ArrayBuffer(84 + triangleCount * 50);
+    const view = new DataView(buffer);
+    const header = 'VoxelProps STL export';
+    for (let i = 0; i < header.length; i++) view.setUint8(i, header.charCodeAt(i));
+    view.setUint32(80, triangleCount, true);
+
+    let offset = 84;
+    for (let t = 0; t < triangleCount; t++) {
+      for (let k = 0; k < 3; k++) {
+        view.setFloat32(offset, normals[t * 3 + k], true);
+        offset += 4;
+      }
+      for (let v = 0; v < 3; v++) {
+        const index = triangles[t * 3 + v];
+        for (let k = 0; k < 3; k++) {
+          view.setFloat32(offset, positions[index * 3 + k], true);
+          offset += 4;
+        }
+      }
+      view.setUint16(offset, 0, true);
+      offset += 2;
     }
 
-    // Render wireframe
-    if (wireframe) {
-      ctx.strokeStyle = options.wireframeColor || 'rgba(0, 255, 200, 0.6)';
-      ctx.lineWidth = options.wireframeWidth || 1;
+    return buffer;
+  },
 
-      const drawnEdges = new Set();
-      
-      faceList.forEach(face => {
-        const [i0, i1, i2] = face.indices;
-        const edges = [[i0, i1], [i1, i2], [i2, i0]];
-        
-        edges.forEach(([a, b]) => {
-          const key = a < b ? `${a}-${b}` : `${b}-${a}`;
-          if (drawnEdges.has(key)) return;
-          drawnEdges.add(key);
+  // Binary little-endian PLY. Colors go on the vertices when they are
+  // unshared, and on the faces of a welded (manifold) mesh
+  toPLY: (mesh, options = {}) => {
+    const { palette = 'default', manifold = false } = options;
+    const colorPalette = MeshExport.resolvePalette(palette);
+    const { positions, triangles, colorIndices, vertexCount, triangleCount } = MeshExport.prepare(mesh, options);
+    const rgbFor = (colorIndex) => MeshExport.parseColor((colorPalette[colorIndex] || colorPalette[1]).base);
 
-          const v0 = transformedVerts[a];
-          const v1 = transformedVerts[b];
-          
-          ctx.beginPath();
-          ctx.moveTo(v0.x, v0.y);
-          ctx.lineTo(v1.x, v1.y);
-          ctx.stroke();
-        });
+    const vertexColors = new Uint8Array(vertexCount * 3);
+    if (!manifold) {
+      for (let t = 0; t < triangleCount; t++) {
+        const rgb = rgbFor(colorIndices[t]);
+        for (let v = 0; v < 3; v++) vertexColors.set(rgb, triangles[t * 3 + v] * 3);
+      }
+    }
+
+    const header = [
+      'ply',
+      'format binary_little_endian 1.0',
+      'comment VoxelProps PLY export',
+      `element vertex ${vertexCount}`,
+      'property float x',
+      'property float y',
+      'property float z',
+      ...(manifold ? [] : ['property uchar red', 'property uchar green', 'property uchar blue']),
+      `element face ${triangleCount}`,
+      'property list uchar int vertex_indices',
+      ...(manifold ? ['property uchar red', 'property uchar green', 'property uchar blue'] : []),
+      'end_header',
+      ''
+    ].join('\n');
+
+    const headerBytes = new TextEncoder().encode(header);
+    const vertexStride = manifold ? 12 : 15;
+    const faceStride = manifold ? 16 : 13;
+    const buffer = new ArrayBuffer(headerBytes.length + vertexCount * vertexStride + triangleCount * faceStride);
+    const view = new DataView(buffer);
+    new Uint8Array(buffer).set(headerBytes);
+
+    let offset = headerBytes.length;
+    for (let i = 0; i < vertexCount; i++) {
+      for (let k = 0; k < 3; k++) {
+        view.setFloat32(offset, positions[i * 3 + k], true);
+        offset += 4;
+      }
+      if (!manifold) {
+        for (let k = 0; k < 3; k++) view.setUint8(offset++, vertexColors[i * 3 + k]);
+      }
+    }
+
+    for (let t = 0; t < triangleCount; t++) {
+      view.setUint8(offset++, 3);
+      for (let v = 0; v < 3; v++) {
+        view.setInt32(offset, triangles[t * 3 + v], true);
+        offset += 4;
+      }
+      if (manifold) {
+        rgbFor(colorIndices[t]).forEach(c => view.setUint8(offset++, c));
+      }
+    }
+
+    return buffer;
+  },
+
+  // Browser helper: save an ArrayBuffer or string as a file
+  download: (data, filename, mimeType = 'application/octet-stream') => {
+    const blob = new Blob([data], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+};
+
+// ============================================================================
+// PICKING
+// ============================================================================
+
+const Picker = {
+  // Model-space ray under a canvas pixel, by unprojecting two depths
+  screenRay: (transform, x, y, width, height) => {
+    const inverse = Matrix.invert(transform);
+    if (!inverse) return null;
+    const px = (x / width) * 2 - 1;
+    const py = 1 - (y / height) * 2;
+    const near = Matrix.transformPoint(inverse, [px, py, -1]);
+    const far = Matrix.transformPoint(inverse, [px, py, 1]);
+    return { origin: near, direction: [0, 1, 2].map(k => far[k] - near[k]) };
+  },
+
+  // First filled voxel under canvas point (x, y), marched cell by cell
+  // (Amanatides-Woo DDA). Returns { voxel: [x, y, z], normal, colorIndex,
+  // distance } or null; normal is the outward normal of the face the ray
+  // entered through, distance is in voxel units from the near clip plane.
+  pick: (grid, transform, x, y, width, height) => {
+    const ray = Picker.screenRay(transform, x, y, width, height);
+    if (!ray) return null;
+    const { origin, direction } = ray;
+    const dims = [grid.width, grid.height, grid.depth];
+
+    // Clip the ray to the grid's bounding box
+    let tEnter = -Infinity;
+    let tExit = Infinity;
+    let entryAxis = -1;
+    for (let a = 0; a < 3; a++) {
+      if (Math.abs(direction[a]) < 1e-12) {
+        if (origin[a] < 0 || origin[a] > dims[a]) return null;
+        continue;
+      }
+      const t1 = (0 - origin[a]) / direction[a];
+      const t2 = (dims[a] - origin[a]) / direction[a];
+      if (Math.min(t1, t2) > tEnter) {
+        tEnter = Math.min(t1, t2);
+        entryAxis = a;
+      }
+      tExit = Math.min(tExit, Math.max(t1, t2));
+    }
+    // Under perspective the ray starts on the near plane; anything before
+    // it is clipped from view or behind the eye, so it can't be picked
+    if (Matrix.isPerspective(transform) && tEnter < 0) {
+      tEnter = 0;
+      entryAxis = -1;
+    }
+    if (tEnter > tExit) return null;
+
+    const step = direction.map(d => (d > 0 ? 1 : -1));
+    const cell = [0, 1, 2].map(a => Math.min(dims[a] - 1, Math.max(0,
+      Math.floor(origin[a] + direction[a] * tEnter + (a === entryAxis ? step[a] * 1e-7 : 0)))));
+    const tDelta = direction.map(d => (Math.abs(d) < 1e-12 ? Infinity : Math.abs(1 / d)));
+    const tNext = [0, 1, 2].map(a => (
+      Math.abs(direction[a]) < 1e-12 ? Infinity : (cell[a] + (step[a] > 0 ? 1 : 0) - origin[a]) / direction[a]
+    ));
+
+    let t = tEnter;
+    let axis = entryAxis;
+    while (cell.every((c, a) => c >= 0 && c < dims[a])) {
+      const voxel = VoxelEngine.getVoxel(grid, cell[0], cell[1], cell[2]);
+      if (voxel !== 0) {
+        const normal = [0, 0, 0];
+        if (axis >= 0) normal[axis] = -step[axis];
+        const length = Math.sqrt(direction[0] ** 2 + direction[1] ** 2 + direction[2] ** 2);
+        return { voxel: [...cell], normal, colorIndex: voxel, distance: t * length };
+      }
+      axis = tNext[0] < tNext[1] ? (tNext[0] < tNext[2] ? 0 : 2) : (tNext[1] < tNext[2] ? 1 : 2);
+      t = tNext[axis];
+      cell[axis] += step[axis];
+      tNext[axis] += tDelta[axis];
+    }
+    return null;
+  },
+
+  // Model-space corners of the picked face, in perimeter order
+  faceCorners: (hit) => {
+    const axis = hit.normal.findIndex(n => n !== 0);
+    if (axis < 0) return [];
+    const u = (axis + 1) % 3;
+    const v = (axis + 2) % 3;
+    return [[0, 0], [1, 0], [1, 1], [0, 1]].map(([du, dv]) => {
+      const corner = [...hit.voxel];
+      corner[axis] += hit.normal[axis] > 0 ? 1 : 0;
+      corner[u] += du;
+      corner[v] += dv;
+      return corner;
+    });
+  },
+
+  // Outline the picked face on a 2D context, projected like Renderer.render
+  drawHighlight: (ctx, hit, transform, options = {}) => {
+    const { width = 400, height = 400, color = 'rgba(255, 255, 255, 0.9)', lineWidth = 2 } = options;
+    const corners = Picker.faceCorners(hit);
+    if (corners.length === 0) return;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = lineWidth;
+    let points = corners.map(corner => Matrix.transformHomogeneous(transform, corner));
+    if (Matrix.isPerspective(transform)) points = Renderer.clipNear(points);
+    if (points.length < 3) return;
+    ctx.beginPath();
+    points.forEach((p, i) => {
+      const { x, y } = Renderer.toScreen(p, width, height);
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.closePath();
+    ctx.stroke();
+  }
+};
+
+// ============================================================================
+// VOXEL EDITOR
+// ============================================================================
+
+const VoxelEditor = {
+  // Every cell the grid's symmetry maps (x, y, z) to, using the same
+  // mirror planes and sector rotation as mirrorGrid
+  symmetricCells: (grid, x, y, z) => {
+    const symmetry = VoxelEngine.getSymmetry(grid);
+    const cells = [[x, y, z]];
+    if (!symmetry) return cells;
+
+    const dims = [grid.width, grid.height, grid.depth];
+    ['x', 'y', 'z'].forEach((axis, a) => {
+      if (!symmetry[axis]) return;
+      cells.slice().forEach(cell => {
+        const image = [...cell];
+        image[a] = dims[a] - 1 - image[a];
+        cells.push(image);
+      });
+    });
+
+    if (symmetry.radial > 1) {
+      const sector = (Math.PI * 2) / symmetry.radial;
+      const cx = grid.width / 2;
+      const cz = grid.depth / 2;
+      cells.slice().forEach(([sx, sy, sz]) => {
+        const a = cx - (sx + 0.5);
+        const b = cz - (sz + 0.5);
+        for (let k = 1; k < symmetry.radial; k++) {
+          const c = Math.cos(k * sector);
+          const sn = Math.sin(k * sector);
+          cells.push([Math.round(cx - (a * c - b * sn) - 0.5), sy, Math.round(cz - (a * sn + b * c) - 0.5)]);
+        }
       });
     }
+
+    const seen = new Set();
+    return cells.filter(cell => {
+      const key = cell.join(',');
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
   },
 
-  lerpColor: (c1, c2, t) => {
-    const r1 = parseInt(c1.slice(1, 3), 16);
-    const g1 = parseInt(c1.slice(3, 5), 16);
-    const b1 = parseInt(c1.slice(5, 7), 16);
-    const r2 = parseInt(c2.slice(1, 3), 16);
-    const g2 = parseInt(c2.slice(3, 5), 16);
-    const b2 = parseInt(c2.slice(5, 7), 16);
-    const r = Math.round(r1 + (r2 - r1) * t);
-    const g = Math.round(g1 + (g2 - g1) * t);
-    const b = Math.round(b1 + (b2 - b1) * t);
-    return `rgb(${r}, ${g}, ${b})`;
+  // Apply a tool at a Picker.pick hit: 'add' fills the cell in front of the
+  // hit face, 'remove' clears the hit voxel, 'paint' recolors it. With
+  // mirror set, symmetric images are written too; otherwise an edit on a
+  // symmetric grid drops its symmetry so the mesher meshes every cell.
+  // With a history, the whole edit is recorded as one undo step.
+  // Returns the cells that changed.
+  apply: (grid, hit, tool, colorIndex, options = {}) => {
+    const { mirror = true, history = null } = options;
+    const target = tool === 'add' ? hit.voxel.map((c, a) => c + hit.normal[a]) : hit.voxel;
+    const value = tool === 'remove' ? 0 : colorIndex;
+
+    if (history) EditHistory.begin(history, grid);
+    if (!mirror && VoxelEngine.getSymmetry(grid)) {
+      grid.symmetric = false;
+      grid.symmetry = null;
+    }
+
+    const cells = mirror ? VoxelEditor.symmetricCells(grid, ...target) : [target];
+    const changed = cells.filter(([x, y, z]) => {
+      if (x < 0 || y < 0 || z < 0 || x >= grid.width || y >= grid.height || z >= grid.depth) return false;
+      const current = VoxelEngine.getVoxel(grid, x, y, z);
+      // Paint only recolors existing voxels
+      if (current === value || (tool === 'paint' && current === 0)) return false;
+      if (history) EditHistory.setVoxel(history, grid, x, y, z, value);
+      else VoxelEngine.setVoxel(grid, x, y, z, value);
+      return true;
+    });
+    if (history) EditHistory.commit(history, grid);
+    return changed;
+  }
+};
+
+// ============================================================================
+// EDIT HISTORY
+// ============================================================================
+
+// Steps store compact diffs: a flat [index, before, after, ...] list over
+// the grid's x + y * width + z * width * height cell index, plus the
+// symmetry flags when a step changed them.
+const EditHistory = {
+  create: (options = {}) => {
+    const { limit = 100 } = options;
+    return { limit, undoStack: [], redoStack: [], pending: null, depth: 0, base: EditHistory.createBase() };
+  },
+
+  // Everything dropped off the bottom of the undo stack, merged into one
+  // step from the source grid, so a saved session replays in full
+  createBase: () => ({ changes: new Map(), symmetry: null }),
+
+  absorb: (base, step) => {
+    const { changes } = step;
+    for (let i = 0; i < changes.length; i += 3) {
+      const index = changes[i];
+      const before = base.changes.has(index) ? base.changes.get(index)[1] : changes[i + 1];
+      if (before === changes[i + 2]) base.changes.delete(index);
+      else base.changes.set(index, [index, before, changes[i + 2]]);
+    }
+    if (step.symmetry) {
+      base.symmetry = { before: base.symmetry ? base.symmetry.before : step.symmetry.before, after: step.symmetry.after };
+    }
+  },
+
+  baseStep: (base) => {
+    const changes = [];
+    base.changes.forEach(change => changes.push(...change));
+    return { changes, symmetry: base.symmetry };
+  },
+
+  symmetryState: (grid) => ({
+    symmetric: !!grid.symmetric,
+    symmetry: grid.symmetry ? { ...grid.symmetry } : null
+  }),
+
+  // Open a stroke; every change until the matching commit becomes one
+  // undo step. Nested begin/commit pairs join the outer stroke.
+  begin: (history, grid) => {
+    history.depth += 1;
+    if (history.pending) return;
+    history.pending = { changes: new Map(), symmetry: EditHistory.symmetryState(grid) };
+  },
+
+  // Set a voxel through the history. Outside a stroke the change is its
+  // own step.
+  setVoxel: (history, grid, x, y, z, value) => {
+    if (x < 0 || y < 0 || z < 0 || x >= grid.width || y >= grid.height || z >= grid.depth) return;
+    const open = !history.pending;
+    if (open) EditHistory.begin(history, grid);
+
+    const index = x + y * grid.width + z * grid.width * grid.height;
+    const before = VoxelEngine.getVoxel(grid, x, y, z);
+    const change = history.pending.changes.get(index);
+    if (change) change[2] = value;
+    else history.pending.changes.set(index, [index, before, value]);
+    VoxelEngine.setVoxel(grid, x, y, z, value);
+
+    if (open) EditHistory.commit(history, grid);
+  },
+
+  // Close a stroke. Returns the recorded step once the outermost stroke
+  // closes, or null while nested or when the stroke changed nothing.
+  commit: (history, grid) => {
+    if (!history.pending) return null;
+    history.depth = Math.max(0, history.depth - 1);
+    return history.depth > 0 ? null : EditHistory.flush(history, grid);
+  },
+
+  // Record the open stroke now, however deeply nested
+  flush: (history, grid) => {
+    const { pending } = history;
+    if (!pending) return null;
+    history.pending = null;
+    history.depth = 0;
+
+    const changes = [];
+    pending.changes.forEach(([index, before, after]) => {
+      if (before !== after) changes.push(index, before, after);
+    });
+    const after = EditHistory.symmetryState(grid);
+    const symmetryChanged = JSON.stringify(after) !== JSON.stringify(pending.symmetry);
+    if (changes.length === 0 && !symmetryChanged) return null;
+
+    const step = { changes, symmetry: symmetryChanged ? { before: pending.symmetry, after } : null };
+    history.undoStack.push(step);
+    if (history.undoStack.length > history.limit) EditHistory.absorb(history.base, history.undoStack.shift());
+    history.redoStack = [];
+    return step;
+  },
+
+  // Roll back the open stroke without recording it
+  cancel: (history, grid) => {
+    const { pending } = history;
+    if (!pending) return;
+    history.pending = null;
+    history.depth = 0;
+    const changes = [];
+    pending.changes.forEach(change => changes.push(...change));
+    EditHistory.applyStep(grid, { changes, symmetry: { before: pending.symmetry } }, 'before');
+  },
+
+  // Write one side ('before' or 'after') of a step into the grid
+  applyStep: (grid, step, side) => {
+    const { changes } = step;
+    const offset = side === 'before' ? 1 : 2;
+    const plane = grid.width * grid.height;
+    for (let i = 0; i < changes.length; i += 3) {
+      const index = changes[i];
+      VoxelEngine.setVoxel(grid, index % grid.width, Math.floor(index / grid.width) % grid.height,
+        Math.floor(index / plane), changes[i + offset]);
+    }
+    if (step.symmetry) {
+      const state = step.symmetry[side];
+      grid.symmetric = state.symmetric;
+      grid.symmetry = state.symmetry ? { ...state.symmetry } : null;
+    }
+  },
+
+  undo: (history, grid) => {
+    EditHistory.flush(history, grid);
+    const step = history.undoStack.pop();
+    if (!step) return null;
+    EditHistory.applyStep(grid, step, 'before');
+    history.redoStack.push(step);
+    return step;
+  },
+
+  redo: (history, grid) => {
+    EditHistory.flush(history, grid);
+    const step = history.redoStack.pop();
+    if (!step) return null;
+    EditHistory.applyStep(grid, step, 'after');
+    history.undoStack.push(step);
+    return step;
+  },
+
+  // Plain JSON-safe copy; meta fields (e.g. model and resolution) are kept
+  // alongside so a host can check it matches before restoring
+  serialize: (history, meta = {}) => ({
+    ...meta,
+    version: 2,
+    limit: history.limit,
+    base: EditHistory.baseStep(history.base),
+    undo: history.undoStack.map(step => ({ changes: [...step.changes], symmetry: step.symmetry })),
+    redo: history.redoStack.map(step => ({ changes: [...step.changes], symmetry: step.symmetry }))
+  }),
+
+  // Version 1 data has no base step, so it only replays fully when it
+  // never went past its limit
+  deserialize: (data) => {
+    if (!data || (data.version !== 1 && data.version !== 2)) {
+      throw new Error('EditHistory: unsupported history format');
+    }
+    const toStep = (step) => {
+      if (!step || !Array.isArray(step.changes) || step.changes.length % 3 !== 0) {
+        throw new Error('EditHistory: malformed step');
+      }
+      return { changes: [...step.changes], symmetry: step.symmetry || null };
+    };
+    const history = EditHistory.create({ limit: data.limit });
+    history.undoStack = (data.undo || []).map(toStep);
+    history.redoStack = (data.redo || []).map(toStep);
+    if (data.version === 2) EditHistory.absorb(history.base, toStep(data.base));
+    return history;
+  },
+
+  // Rebuild a session: replay the base step and the saved undo steps onto
+  // a freshly built grid and return the history, ready to undo or redo
+  restore: (grid, data) => {
+    const history = EditHistory.deserialize(data);
+    EditHistory.applyStep(grid, EditHistory.baseStep(history.base), 'after');
+    history.undoStack.forEach(step => EditHistory.applyStep(grid, step, 'after'));
+    return history;
   }
 };
 
@@ -671,69 +4838,255 @@ const Renderer = {
 // VOXEL PROPS COMPONENT
 // ============================================================================
 
-const VoxelProps = ({ 
+// Resolutions above this switch to chunked sparse storage
+const CHUNKED_RESOLUTION = 32;
+
+// Stands in when the catalog is empty, so the viewport renders blank
+const EMPTY_MODEL = { name: '', label: '', symmetric: false, palette: 'default', bounds: [32, 32, 32], build: grid => grid };
+
+// State that follows its controlled prop when one is passed (anything but
+// undefined) and reports every change through onChange either way
+const useControlled = (value, initialValue, onChange) => {
+  const [state, setState] = useState(initialValue);
+  const controlled = value !== undefined;
+  const current = controlled ? value : state;
+  const update = (next) => {
+    if (!controlled) setState(next);
+    if (onChange && next !== current) onChange(next);
+  };
+  return [current, update];
+};
+
+// Splits a camera prop (a mode name or a partial { mode, fov, near, far,
+// rotation, zoom, pan }) into projection settings and view fields
+const splitCamera = (camera) => {
+  const settings = {};
+  const view = {};
+  Object.entries(typeof camera === 'string' ? { mode: camera } : (camera || {})).forEach(([key, value]) => {
+    if (value === undefined) return;
+    if (['rotation', 'zoom', 'pan'].includes(key)) view[key] = value;
+    else settings[key] = value;
+  });
+  return { settings, view };
+};
+
+const VoxelProps = forwardRef(({ 
   initialModel = 'human',
   initialResolution = 16,
   initialPalette = 'default',
   width = 500,
   height = 500,
   autoRotate = true,
+  models = null,
+  backend = 'auto',
+  lights = null,
+  onVoxelHover = null,
+  onVoxelClick = null,
+  historyLimit = 100,
+  initialHistory = null,
+  onHistoryChange = null,
+  initialSeed = 1,
+  initialAnimation = null,
+  initialCamera = 'orthographic',
+  // Controlled counterparts; undefined leaves the component in charge
+  model: controlledModel,
+  resolution: controlledResolution,
+  palette: controlledPalette,
+  seed: controlledSeed,
+  animation: controlledAnimation,
+  camera,
+  wireframe: controlledWireframe,
+  showFaces: controlledShowFaces,
+  shading: controlledShading,
+  paletteLocked: controlledPaletteLocked,
+  zBuffer,
+  hollow,
+  symmetry,
+  greedy,
+  ambientOcclusion,
+  onModelChange = null,
+  onResolutionChange = null,
+  onPaletteChange = null,
+  onSeedChange = null,
+  onAnimationChange = null,
+  onCameraChange = null,
+  onWireframeChange = null,
+  onShowFacesChange = null,
+  onShadingChange = null,
+  onPaletteLockedChange = null,
+  onZBufferChange = null,
+  onHollowChange = null,
+  onSymmetryChange = null,
+  onGreedyChange = null,
+  onAmbientOcclusionChange = null,
+  onStatsChange = null,
+  grid = null,
+  scene = null,
   className = ''
-}) => {
+}, ref) => {
   const canvasRef = useRef(null);
+  const glCanvasRef = useRef(null);
+  const overlayCanvasRef = useRef(null);
+  // Last transform drawn, so clicks pick against what is on screen
+  const transformRef = useRef(null);
+  const pressRef = useRef(null);
+  // Pointer position in canvas pixels, re-picked every frame while it rotates
+  const pointerRef = useRef(null);
+  const hoverRef = useRef(null);
+  // Latest callbacks, read from the render loop without restarting it
+  const callbacksRef = useRef({});
+  // Animation clock origin, kept across render-loop restarts
+  const clockRef = useRef(Date.now());
+  // Sequence playhead in ticks, and the frame last shown
+  const playheadRef = useRef(0);
+  const frameRef = useRef(-1);
+  callbacksRef.current = { onVoxelHover, onVoxelClick, onHistoryChange, onCameraChange, onStatsChange };
+  // Last camera reported through onCameraChange, as JSON
+  const reportedCameraRef = useRef(null);
   const animationRef = useRef(null);
   
-  const [model, setModel] = useState(initialModel);
-  const [resolution, setResolution] = useState(initialResolution);
-  const [palette, setPalette] = useState(initialPalette);
-  const [wireframe, setWireframe] = useState(true);
-  const [showFaces, setShowFaces] = useState(true);
-  const [rotation, setRotation] = useState({ x: -0.4, y: 0.5 });
-  const [zoom, setZoom] = useState(1.5);
+  const [model, setModel] = useControlled(controlledModel, initialModel, onModelChange);
+  const [resolution, setResolution] = useControlled(controlledResolution, initialResolution, onResolutionChange);
+  // A palette name, or a palette object that gets its derived tones here
+  const [paletteChoice, setPalette] = useControlled(controlledPalette, initialPalette, onPaletteChange);
+  const palette = useMemo(() => (
+    typeof paletteChoice === 'string' ? paletteChoice : PaletteRegistry.complete(paletteChoice)
+  ), [paletteChoice]);
+  // Palette object offered as "Custom" in the dropdown
+  const customPalette = typeof paletteChoice === 'string'
+    ? (typeof initialPalette === 'string' ? null : initialPalette)
+    : paletteChoice;
+  const [paletteError, setPaletteError] = useState(null);
+  const [wireframe, setWireframe] = useControlled(controlledWireframe, true, onWireframeChange);
+  const [showFaces, setShowFaces] = useControlled(controlledShowFaces, true, onShowFacesChange);
+  const [useZBuffer, setUseZBuffer] = useControlled(zBuffer, false, onZBufferChange);
+  const [shading, setShading] = useControlled(controlledShading, 'smooth', onShadingChange);
+  const [paletteLocked, setPaletteLocked] = useControlled(controlledPaletteLocked, false, onPaletteLockedChange);
+  const [activeBackend, setActiveBackend] = useState('2d');
+  // Orbit/pan/dolly state, mutated by input and read by the render loop
+  const [controls] = useState(() => CameraControls.create({
+    panSpeed: 2 / height,
+    view: splitCamera(camera !== undefined ? camera : initialCamera).view
+  }));
+  // Zoom as last shown on the slider
+  const [zoom, setZoom] = useState(controls.view.zoom);
+  // Projection mode with its fov and clip planes. A controlled camera's
+  // fields win over the state, as with useControlled; keying on the
+  // resolved values keeps the object, and the render loop, stable while
+  // only the view moves
+  const [cameraState, setCameraSettings] = useState(() => (
+    Camera.resolve(splitCamera(camera !== undefined ? camera : initialCamera).settings)
+  ));
+  const cameraSettingsKey = camera === undefined
+    ? null
+    : JSON.stringify(Camera.resolve({ ...cameraState, ...splitCamera(camera).settings }));
+  const cameraSettings = useMemo(() => (
+    cameraSettingsKey === null ? cameraState : JSON.parse(cameraSettingsKey)
+  ), [cameraState, cameraSettingsKey]);
   const [isRotating, setIsRotating] = useState(autoRotate);
   const [lightAngle, setLightAngle] = useState(45);
-  const [isDragging, setIsDragging] = useState(false);
-  const [lastMouse, setLastMouse] = useState({ x: 0, y: 0 });
+  const [hover, setHover] = useState(null);
+  // Seed and parameter overrides for procedural models; overrides only
+  // apply to the model they were set on
+  const [seed, setSeed] = useControlled(controlledSeed, initialSeed, onSeedChange);
+  const [generatorOverrides, setGeneratorOverrides] = useState({ model: null, params: {} });
+  const generatorParams = generatorOverrides.model === model ? generatorOverrides.params : {};
+  // Name of the playing rig animation, or null for the static model
+  const [activeAnimation, setActiveAnimation] = useControlled(controlledAnimation, initialAnimation, onAnimationChange);
+  const [playing, setPlaying] = useState(true);
+  const [loopPlayback, setLoopPlayback] = useState(true);
+  // null plays at the sequence's own fps
+  const [fpsOverride, setFpsOverride] = useState(null);
+  const [frameStats, setFrameStats] = useState(null);
+  // Preset name, rig object, or null for the single light-angle light
+  const [lightRig, setLightRig] = useState(lights);
   const [stats, setStats] = useState({ 
     vertices: 0, faces: 0, voxels: 0, 
-    shellVoxels: 0, symmetric: false,
+    shellVoxels: 0, symmetric: false, symmetrySavings: [], dimensions: [0, 0, 0],
     savedVoxels: 0, savedPercent: 0
   });
-  const [useHollow, setUseHollow] = useState(true);
-  const [useSymmetry, setUseSymmetry] = useState(true);
+  const [useHollow, setUseHollow] = useControlled(hollow, true, onHollowChange);
+  const [useSymmetry, setUseSymmetry] = useControlled(symmetry, true, onSymmetryChange);
+  const [useGreedy, setUseGreedy] = useControlled(greedy, false, onGreedyChange);
+  const [useAO, setUseAO] = useControlled(ambientOcclusion, false, onAmbientOcclusionChange);
+  const [editMode, setEditMode] = useState(false);
+  const [brushColor, setBrushColor] = useState(1);
+  const [mirrorBrush, setMirrorBrush] = useState(true);
+  const [editVersion, setEditVersion] = useState(0);
+  const [bakeShading, setBakeShading] = useState(true);
+
+  // Host apps can pass their own catalog; otherwise use the shared
+  // registry, following models registered or removed after mount
+  const [registryVersion, setRegistryVersion] = useState(0);
+  useEffect(() => (models ? undefined : ModelRegistry.subscribe(() => setRegistryVersion(v => v + 1))), [models]);
+  const catalog = useMemo(() => models || ModelRegistry.list(), [models, registryVersion]);
+  const modelEntry = catalog.find(entry => entry.name === model)
+    || catalog.find(entry => entry.name === 'cube')
+    || catalog[0]
+    || EMPTY_MODEL;
+
+  // Source grid for the current model, or a copy of the host's grid data;
+  // the editor mutates it in place. A new history limit or saved session
+  // rebuilds it, so the history always describes every edit on the grid
+  const sourceGrid = useMemo(() => {
+    // Large props use sparse chunked storage
+    if (grid) {
+      const extent = Math.max(grid.width || grid.size, grid.height || grid.size, grid.depth || grid.size);
+      return VoxelEngine.fromData(grid, { chunked: extent > CHUNKED_RESOLUTION });
+    }
+    const built = ModelRegistry.createGrid(modelEntry, resolution, { chunked: resolution > CHUNKED_RESOLUTION });
+    return ModelRegistry.build(modelEntry, built, modelEntry.params ? { seed, ...generatorParams } : undefined);
+  }, [grid, modelEntry.build, modelEntry.bounds, modelEntry.params, modelEntry.symmetric, resolution, seed, generatorOverrides, historyLimit, initialHistory]);
+
+  // What a saved session was recorded against; it only replays onto a grid
+  // built the same way
+  const historyMeta = { model, resolution, seed, params: generatorParams };
+
+  // Undo history for the current grid; a saved session for the same model,
+  // resolution, seed and generator params is replayed onto it. Host grids
+  // have no build to match, so they always start fresh
+  const history = useMemo(() => {
+    if (!grid && initialHistory
+      && initialHistory.model === historyMeta.model
+      && initialHistory.resolution === historyMeta.resolution
+      && initialHistory.seed === historyMeta.seed
+      && JSON.stringify(initialHistory.params || {}) === JSON.stringify(historyMeta.params)) {
+      return EditHistory.restore(sourceGrid, initialHistory);
+    }
+    return EditHistory.create({ limit: historyLimit });
+  }, [sourceGrid, historyLimit, initialHistory]);
 
   // Generate mesh with optimizations
   const mesh = useMemo(() => {
-    let grid = VoxelEngine.createGrid(resolution);
-    
-    switch (model) {
-      case 'human': VoxelModels.human(grid); break;
-      case 'cube': VoxelModels.cube(grid); break;
-      case 'sphere': VoxelModels.sphere(grid); break;
-      case 'tree': VoxelModels.tree(grid); break;
-      case 'car': VoxelModels.car(grid); break;
-      case 'house': VoxelModels.house(grid); break;
-      case 'robot': VoxelModels.robot(grid); break;
-      default: VoxelModels.cube(grid);
-    }
-    
-    // Count original voxels
+    let grid = sourceGrid;
     let originalVoxels = 0;
-    for (let i = 0; i < grid.data.length; i++) {
-      if (grid.data[i] !== 0) originalVoxels++;
-    }
-    
-    // OPTIMIZATION 1: Hollow the grid
-    let hollowStats = { removed: 0, kept: originalVoxels };
-    if (useHollow) {
-      const hollowResult = VoxelEngine.hollowGrid(grid);
-      grid = hollowResult;
-      hollowStats = hollowResult.stats;
+    let hollowStats;
+    let generatedMesh;
+
+    if (grid.chunks) {
+      // Chunked grids mesh and count per chunk, so an edit only revisits
+      // the chunks it touched. Hollowing would re-mesh the whole grid (and
+      // add faces around the carved cavity), so it is not applied and
+      // nothing is reported removed
+      generatedMesh = VoxelEngine.meshChunks(grid, { greedy: useGreedy, ao: useAO });
+      originalVoxels = generatedMesh.chunks.voxels;
+      hollowStats = { removed: 0, kept: originalVoxels };
+    } else {
+      // Count original voxels
+      VoxelEngine.forEachVoxel(grid, () => originalVoxels++);
+
+      // OPTIMIZATION 1: Hollow the grid
+      hollowStats = { removed: 0, kept: originalVoxels };
+      if (useHollow) {
+        const hollowResult = VoxelEngine.hollowGrid(grid);
+        grid = hollowResult;
+        hollowStats = hollowResult.stats;
+      }
+
+      // Generate mesh with symmetry optimization
+      generatedMesh = VoxelEngine.generateMesh(grid, useSymmetry, { greedy: useGreedy, ao: useAO });
     }
     
-    // Generate mesh with symmetry optimization
-    const generatedMesh = VoxelEngine.generateMesh(grid, useSymmetry);
-    
     // Calculate savings
     const shellVoxels = hollowStats.kept;
     const savedVoxels = originalVoxels - shellVoxels;
@@ -744,14 +5097,63 @@ const VoxelProps = ({
       faces: generatedMesh.faces.length / 3,
       voxels: originalVoxels,
       shellVoxels,
-      symmetric: grid.symmetric,
+      dimensions: [grid.width, grid.height, grid.depth],
+      symmetric: generatedMesh.symmetric,
+      symmetrySavings: generatedMesh.symmetrySavings,
+      greedy: useGreedy,
+      chunks: generatedMesh.chunks || null,
       savedVoxels,
       savedPercent,
       hollowRatio: hollowStats.ratio
     });
     
     return generatedMesh;
-  }, [model, resolution, useHollow, useSymmetry]);
+  }, [sourceGrid, editVersion, useHollow, useSymmetry, useGreedy, useAO]);
+
+  // Rigged models mesh per part while an animation plays; host grids and
+  // scenes have no rig or sequences
+  const rig = !grid && !scene && modelEntry.rig && activeAnimation && modelEntry.rig.animations[activeAnimation]
+    ? modelEntry.rig
+    : null;
+  const partMeshes = useMemo(() => {
+    if (!rig) return null;
+    return VoxelParts.meshParts(VoxelParts.split(sourceGrid, rig), { greedy: useGreedy, ao: useAO });
+  }, [rig, sourceGrid, editVersion, useGreedy, useAO]);
+
+  // Frame sequences, rebuilt when the base grid is edited
+  const sequence = useMemo(() => {
+    const build = !grid && !scene && !rig && modelEntry.sequences && activeAnimation && modelEntry.sequences[activeAnimation];
+    return build ? build(sourceGrid) : null;
+  }, [grid, scene, rig, modelEntry.sequences, activeAnimation, sourceGrid, editVersion]);
+  const playbackFps = fpsOverride || (sequence ? sequence.fps : 8);
+  const animating = !!(partMeshes || sequence);
+
+  // A scene replaces the model in the viewport. Its prop meshes are cached
+  // until a meshing option changes, so moving instances never re-meshes
+  const sceneCache = useMemo(() => new Map(), [catalog, useSymmetry, useGreedy, useAO]);
+  const sceneMesh = useMemo(() => (
+    scene
+      ? VoxelScene.build(scene, { models: catalog, resolution, symmetry: useSymmetry, greedy: useGreedy, ao: useAO, cache: sceneCache })
+      : null
+  ), [scene, sceneCache, resolution]);
+  // Picks test the source grid's rest pose, which neither animations nor scenes show
+  const pickable = !animating && !sceneMesh;
+
+  // A controlled camera moves the view to the fields it sets when they
+  // change. An echo of the camera just reported is skipped, and so is a view
+  // that is already shown, so a host that feeds onCameraChange back in
+  // doesn't cut coasting or auto-rotation short. It runs before the render
+  // loop, which reports a new frame as soon as it restarts
+  const cameraKey = camera === undefined ? null : JSON.stringify(camera);
+  useEffect(() => {
+    if (cameraKey === null || cameraKey === reportedCameraRef.current) return;
+    const { view } = splitCamera(camera);
+    const moved = Object.keys(view).some(key => JSON.stringify(view[key]) !== JSON.stringify(controls.view[key]));
+    if (moved) {
+      CameraControls.setView(controls, view);
+      setIsRotating(false);
+    }
+  }, [cameraKey]);
 
   // Render loop
   useEffect(() => {
@@ -759,9 +5161,42 @@ const VoxelProps = ({
     if (!canvas) return;
 
     const ctx = canvas.getContext('2d');
-    let currentRotation = rotation.y;
+    const overlay = overlayCanvasRef.current && overlayCanvasRef.current.getContext('2d');
+
+    // WebGL draws over the 2D background; the software z-buffer stays on 2D
+    const glCanvas = glCanvasRef.current;
+    const listens = !!glCanvas && typeof glCanvas.addEventListener === 'function';
+    const wantsGL = backend !== '2d' && !useZBuffer;
+    let gl = wantsGL ? WebGLRenderer.getContext(glCanvas) : null;
+    if (!gl && glCanvas) {
+      const stale = WebGLRenderer.getContext(glCanvas);
+      if (stale && !stale.isContextLost()) WebGLRenderer.clear(stale);
+    }
+    setActiveBackend(gl ? 'webgl' : '2d');
+
+    // A lost context falls back to 2D until the browser restores it
+    const handleContextLost = (e) => {
+      e.preventDefault();
+      if (gl) WebGLRenderer.forget(gl);
+      gl = null;
+      setActiveBackend('2d');
+    };
+    const handleContextRestored = () => {
+      if (!wantsGL) return;
+      gl = WebGLRenderer.getContext(glCanvas);
+      setActiveBackend(gl ? 'webgl' : '2d');
+    };
+    if (listens) {
+      glCanvas.addEventListener('webglcontextlost', handleContextLost);
+      glCanvas.addEventListener('webglcontextrestored', handleContextRestored);
+    }
+    frameRef.current = -1;
+    let lastTime = Date.now();
+    let shownZoom = controls.view.zoom;
 
     const render = () => {
+      const now = Date.now();
+      const dt = (now - lastTime) / 1000;
       ctx.fillStyle = '#0a0a12';
       ctx.fillRect(0, 0, width, height);
 
@@ -782,29 +5217,34 @@ const VoxelProps = ({
       }
 
       if (isRotating) {
-        currentRotation += 0.01;
-      }
-
-      const center = mesh.size / 2;
-      let transform = Matrix.identity();
-      transform = Matrix.multiply(Matrix.translate(-center, -center, -center), transform);
-      transform = Matrix.multiply(Matrix.scale(zoom / mesh.size), transform);
-      transform = Matrix.multiply(Matrix.rotateX(rotation.x), transform);
-      transform = Matrix.multiply(Matrix.rotateY(isRotating ? currentRotation : rotation.y), transform);
-      transform = Matrix.multiply(Matrix.translate(0, -0.1, 0), transform);
-
-      const lightRad = lightAngle * Math.PI / 180;
-      const lightDir = [
-        Math.cos(lightRad) * 0.7,
-        0.5,
-        Math.sin(lightRad) * 0.7
-      ];
-      const lightLen = Math.sqrt(lightDir[0] ** 2 + lightDir[1] ** 2 + lightDir[2] ** 2);
-      lightDir[0] /= lightLen;
-      lightDir[1] /= lightLen;
-      lightDir[2] /= lightLen;
+        controls.view.rotation.y += 0.01;
+      }
+      CameraControls.update(controls, dt);
+      if (controls.view.zoom !== shownZoom) {
+        shownZoom = controls.view.zoom;
+        setZoom(shownZoom);
+      }
+
+      const bounds = sceneMesh || mesh;
+      const transform = Camera.transform([bounds.width, bounds.height, bounds.depth], cameraSettings, {
+        ...controls.view,
+        aspect: width / height
+      });
+      transformRef.current = transform;
+
+      // Report camera moves, including coasting, flights and auto-rotation
+      const cameraKey = JSON.stringify({ ...cameraSettings, ...controls.view });
+      if (cameraKey !== reportedCameraRef.current) {
+        const first = reportedCameraRef.current === null;
+        reportedCameraRef.current = cameraKey;
+        if (!first && callbacksRef.current.onCameraChange) {
+          callbacksRef.current.onCameraChange(JSON.parse(cameraKey));
+        }
+      }
+
+      const lightDir = Renderer.lightFromAngle(lightAngle);
 
-      Renderer.render(ctx, mesh, transform, {
+      const renderOptions = {
         width,
         height,
         wireframe,
@@ -812,9 +5252,68 @@ const VoxelProps = ({
         palette,
         lightDir,
         ambient: 0.3,
+        lights: lightRig,
+        shading,
+        paletteLocked,
+        rasterizer: useZBuffer ? 'zbuffer' : 'painter',
         wireframeColor: 'rgba(0, 255, 200, 0.5)',
         wireframeWidth: 1
-      });
+      };
+
+      // Parts are posed into one mesh each frame; sequences advance the
+      // playhead and show that frame's cached mesh
+      let frameMesh = mesh;
+      if (sceneMesh) {
+        frameMesh = sceneMesh;
+      } else if (partMeshes) {
+        frameMesh = VoxelParts.pose(partMeshes, rig.animations[activeAnimation]((now - clockRef.current) / 1000), sourceGrid);
+      } else if (sequence) {
+        const total = VoxelAnimation.length(sequence);
+        if (playing) {
+          playheadRef.current += dt * playbackFps;
+          if (!loopPlayback && playheadRef.current >= total) {
+            playheadRef.current = total;
+            setPlaying(false);
+          }
+        }
+        const index = VoxelAnimation.frameAt(sequence, playheadRef.current, loopPlayback);
+        frameMesh = VoxelAnimation.meshFrame(sequence, index, { symmetry: useSymmetry, greedy: useGreedy, ao: useAO });
+        if (index !== frameRef.current) {
+          frameRef.current = index;
+          setFrameStats({
+            index,
+            vertices: frameMesh.vertices.length / 3,
+            faces: frameMesh.faces.length / 3,
+            cached: sequence.meshes.size
+          });
+        }
+      }
+      lastTime = now;
+
+      // Shaders that fail to compile or link leave the 2D canvas to draw
+      if (gl && !WebGLRenderer.render(gl, frameMesh, transform, renderOptions)) {
+        if (!gl.isContextLost()) WebGLRenderer.clear(gl);
+        gl = null;
+        setActiveBackend('2d');
+      }
+      if (!gl) {
+        Renderer.render(ctx, frameMesh, transform, renderOptions);
+      }
+
+      // Hover picking; skipped while a drag is in progress or nothing pickable is shown
+      const pointer = pressRef.current || !pickable ? null : pointerRef.current;
+      const hit = pointer ? Picker.pick(sourceGrid, transform, pointer.x, pointer.y, width, height) : null;
+      const key = hit ? `${hit.voxel.join(',')}/${hit.normal.join(',')}/${hit.colorIndex}` : null;
+      const previous = hoverRef.current;
+      if (key !== (previous ? previous.key : null)) {
+        hoverRef.current = hit ? { ...hit, key } : null;
+        setHover(hit);
+        if (callbacksRef.current.onVoxelHover) callbacksRef.current.onVoxelHover(hit);
+      }
+      if (overlay) {
+        overlay.clearRect(0, 0, width, height);
+        if (hit) Picker.drawHighlight(overlay, hit, transform, { width, height });
+      }
 
       animationRef.current = requestAnimationFrame(render);
     };
@@ -825,40 +5324,255 @@ const VoxelProps = ({
       if (animationRef.current) {
         cancelAnimationFrame(animationRef.current);
       }
+      if (listens) {
+        glCanvas.removeEventListener('webglcontextlost', handleContextLost);
+        glCanvas.removeEventListener('webglcontextrestored', handleContextRestored);
+      }
     };
-  }, [mesh, rotation, zoom, wireframe, showFaces, palette, isRotating, lightAngle, width, height]);
+  }, [mesh, sourceGrid, sceneMesh, partMeshes, rig, sequence, activeAnimation, playing, loopPlayback, playbackFps, useSymmetry, useGreedy, useAO, controls, cameraSettings, wireframe, showFaces, useZBuffer, shading, paletteLocked, backend, palette, isRotating, lightAngle, lightRig, width, height]);
 
-  const handleMouseDown = (e) => {
-    setIsDragging(true);
-    setLastMouse({ x: e.clientX, y: e.clientY });
+  useEffect(() => {
+    if (callbacksRef.current.onStatsChange) callbacksRef.current.onStatsChange(stats);
+  }, [stats]);
+
+  const handlePointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    CameraControls.pointerDown(controls, e);
     setIsRotating(false);
+    // A second pointer or another button makes it a gesture, never a click
+    const press = pressRef.current;
+    pressRef.current = press ? { ...press, gesture: true } : { x: e.clientX, y: e.clientY, gesture: e.button !== 0 };
   };
 
-  const handleMouseMove = (e) => {
-    if (!isDragging) return;
-    
-    const dx = e.clientX - lastMouse.x;
-    const dy = e.clientY - lastMouse.y;
-    
-    setRotation(prev => ({
-      x: Math.max(-Math.PI / 2, Math.min(Math.PI / 2, prev.x + dy * 0.01)),
-      y: prev.y + dx * 0.01
-    }));
-    
-    setLastMouse({ x: e.clientX, y: e.clientY });
+  // Canvas-pixel coordinates of a mouse event
+  const canvasPoint = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * (width / rect.width),
+      y: (e.clientY - rect.top) * (height / rect.height)
+    };
+  };
+
+  const handlePointerMove = (e) => {
+    pointerRef.current = canvasPoint(e);
+    CameraControls.pointerMove(controls, e);
+  };
+
+  const handlePointerUp = (e) => {
+    CameraControls.pointerUp(controls, e);
+    if (controls.pointers.size > 0) return;
+    const press = pressRef.current;
+    pressRef.current = null;
+    // Touch has no hover, so its highlight ends with the touch
+    if (e.pointerType !== 'mouse') pointerRef.current = null;
+
+    // A click (not a drag or gesture) reports the pick and, in edit mode, applies the tool
+    if (!press || press.gesture || e.type !== 'pointerup' || !transformRef.current) return;
+    if (Math.abs(e.clientX - press.x) + Math.abs(e.clientY - press.y) > 3) return;
+    const { x, y } = canvasPoint(e);
+    const hit = pickable ? Picker.pick(sourceGrid, transformRef.current, x, y, width, height) : null;
+    if (callbacksRef.current.onVoxelClick) callbacksRef.current.onVoxelClick(hit, e);
+    if (editMode && hit) handleEdit(hit, e);
+  };
+
+  const handlePointerLeave = () => {
+    pointerRef.current = null;
+  };
+
+  const handleEdit = (hit, e) => {
+    const tool = e.shiftKey ? 'remove' : (e.altKey ? 'paint' : 'add');
+    const changed = VoxelEditor.apply(sourceGrid, hit, tool, brushColor, { mirror: mirrorBrush, history });
+    if (changed.length > 0) handleHistoryChange();
   };
 
-  const handleMouseUp = () => {
-    setIsDragging(false);
+  const handleHistoryChange = () => {
+    setEditVersion(version => version + 1);
+    if (callbacksRef.current.onHistoryChange) {
+      callbacksRef.current.onHistoryChange(EditHistory.serialize(history, historyMeta));
+    }
+  };
+
+  const handleUndo = () => {
+    if (EditHistory.undo(history, sourceGrid)) handleHistoryChange();
+  };
+
+  const handleRedo = () => {
+    if (EditHistory.redo(history, sourceGrid)) handleHistoryChange();
+  };
+
+  // Camera keys move the view; Ctrl/Cmd+Z undoes; Ctrl/Cmd+Shift+Z or Ctrl+Y redoes
+  const handleKeyDown = (e) => {
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+    if (CameraControls.key(controls, e)) {
+      e.preventDefault();
+      setIsRotating(false);
+      return;
+    }
+    if (!(e.ctrlKey || e.metaKey)) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      handleUndo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      handleRedo();
+    }
   };
 
   const handleWheel = (e) => {
     e.preventDefault();
-    setZoom(prev => Math.max(0.5, Math.min(4, prev - e.deltaY * 0.001)));
+    CameraControls.wheel(controls, e);
+  };
+
+  const handleFlyTo = (name) => {
+    setIsRotating(false);
+    CameraControls.flyTo(controls, CameraControls.views[name]);
+  };
+
+  // A controlled camera only reports projection changes; the prop applies
+  // them once the host passes them back
+  const handleCameraChange = (changes) => {
+    const next = Camera.resolve({ ...cameraSettings, ...changes });
+    if (camera === undefined) {
+      setCameraSettings(next);
+    } else if (callbacksRef.current.onCameraChange) {
+      callbacksRef.current.onCameraChange(JSON.parse(JSON.stringify({ ...next, ...controls.view })));
+    }
+  };
+
+  const handleModelChange = (name) => {
+    setModel(name);
+    setGeneratorOverrides({ model: null, params: {} });
+    const entry = catalog.find(e => e.name === name);
+    if (entry && entry.palette) setPalette(entry.palette);
+    const keeps = entry && ((entry.rig && entry.rig.animations[activeAnimation])
+      || (entry.sequences && entry.sequences[activeAnimation]));
+    if (!keeps) setActiveAnimation(null);
+  };
+
+  const handleAnimationChange = (name) => {
+    setActiveAnimation(name || null);
+    playheadRef.current = 0;
+    setPlaying(true);
+    setFpsOverride(null);
+  };
+
+  // Playing again from the end of a non-looping run starts over
+  const handlePlayToggle = () => {
+    if (!playing && !loopPlayback && playheadRef.current >= VoxelAnimation.length(sequence)) {
+      playheadRef.current = 0;
+    }
+    setPlaying(!playing);
+  };
+
+  const handleScrub = (index) => {
+    playheadRef.current = VoxelAnimation.frameStart(sequence, index);
+    setPlaying(false);
+  };
+
+  const handleRandomize = () => {
+    setSeed(Math.floor(Math.random() * 2147483647));
+  };
+
+  const handleParamChange = (key, value) => {
+    setGeneratorOverrides({ model, params: { ...generatorParams, [key]: value } });
+  };
+
+  const handlePaletteImport = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    PaletteRegistry.importFile(file)
+      .then((name) => {
+        setPaletteError(null);
+        setPalette(name);
+      })
+      .catch(error => setPaletteError(error.message));
+  };
+
+  // Current mesh in a file format, shaded and colored like the view; a
+  // scene is flattened into one mesh with a merged palette
+  const exportName = sceneMesh ? 'scene' : model;
+  const exportMesh = (format = 'glb', options = {}) => {
+    // STL is re-meshed voxel by voxel, without greedy quads or occlusion,
+    // so the welded surface has no T-junctions to split
+    const solid = format === 'stl';
+    const target = sceneMesh
+      ? VoxelScene.flatten(solid ? VoxelScene.build(scene, { models: catalog, resolution, ao: false }) : sceneMesh, palette)
+      : { mesh: solid ? VoxelEngine.generateMesh(sourceGrid, false) : mesh, palette };
+    const shared = { palette: target.palette, name: exportName, ...options };
+    const lit = { bakeShading, lightDir: Renderer.lightFromAngle(lightAngle), ambient: 0.3, lights: lightRig, ...shared };
+    const exporters = {
+      glb: () => MeshExport.toGLB(target.mesh, lit),
+      gltf: () => MeshExport.toGLTF(target.mesh, lit),
+      obj: () => MeshExport.toOBJ(target.mesh, shared),
+      stl: () => MeshExport.toSTL(target.mesh, options),
+      ply: () => MeshExport.toPLY(target.mesh, shared)
+    };
+    if (!exporters[format]) throw new Error(`VoxelProps: unknown export format "${format}"`);
+    return exporters[format]();
+  };
+
+  const handleExportGLB = () => {
+    MeshExport.download(exportMesh('glb'), `${exportName}.glb`, 'model/gltf-binary');
+  };
+
+  const handleExportOBJ = () => {
+    const { obj, mtl } = exportMesh('obj');
+    MeshExport.download(obj, `${exportName}.obj`, 'text/plain');
+    MeshExport.download(mtl, `${exportName}.mtl`, 'text/plain');
+  };
+
+  const handleExportSTL = () => {
+    MeshExport.download(exportMesh('stl'), `${exportName}.stl`, 'model/stl');
+  };
+
+  const handleExportPLY = () => {
+    MeshExport.download(exportMesh('ply'), `${exportName}.ply`);
   };
 
+  // Imperative handle for hosts holding a ref
+  useImperativeHandle(ref, () => ({
+    // Current state under the controlled prop names, plus stats and history
+    getSnapshot: () => ({
+      model,
+      resolution,
+      palette: paletteChoice,
+      seed,
+      animation: activeAnimation,
+      camera: { ...cameraSettings, ...CameraControls.resolveView(controls.view, controls.view) },
+      wireframe,
+      showFaces,
+      shading,
+      paletteLocked,
+      zBuffer: useZBuffer,
+      hollow: useHollow,
+      symmetry: useSymmetry,
+      greedy: useGreedy,
+      ambientOcclusion: useAO,
+      stats,
+      history: EditHistory.serialize(history, historyMeta)
+    }),
+    // Partial camera; a duration (seconds) flies there instead of jumping
+    setCamera: (next, options = {}) => {
+      const { settings, view } = splitCamera(next);
+      if (Object.keys(settings).length > 0) handleCameraChange(settings);
+      if (Object.keys(view).length === 0) return;
+      setIsRotating(false);
+      if (options.duration > 0) CameraControls.flyTo(controls, view, options);
+      else CameraControls.setView(controls, view);
+    },
+    exportMesh,
+    resetView: () => handleFlyTo('default')
+  }));
+
   return (
-    <div className={`voxel-props-container ${className}`} style={styles.container}>
+    <div
+      className={`voxel-props-container ${className}`}
+      style={styles.container}
+      tabIndex={0}
+      onKeyDown={handleKeyDown}
+    >
       <div style={styles.header}>
         <h2 style={styles.title}>VOXEL PROPS</h2>
         <div style={styles.subtitle}>OPTIMIZED • HOLLOW SHELL • BILATERAL SYMMETRY</div>
@@ -871,50 +5585,218 @@ const VoxelProps = ({
             width={width}
             height={height}
             style={styles.canvas}
-            onMouseDown={handleMouseDown}
-            onMouseMove={handleMouseMove}
-            onMouseUp={handleMouseUp}
-            onMouseLeave={handleMouseUp}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            onPointerLeave={handlePointerLeave}
+            onContextMenu={(e) => e.preventDefault()}
             onWheel={handleWheel}
           />
+          <canvas
+            ref={glCanvasRef}
+            width={width}
+            height={height}
+            style={styles.glCanvas}
+          />
+          <canvas
+            ref={overlayCanvasRef}
+            width={width}
+            height={height}
+            style={styles.glCanvas}
+          />
           <div style={styles.stats}>
+            {sceneMesh && (
+              <div style={{ color: '#ffcc55' }}>
+                SCENE: {sceneMesh.instances.length} PROPS • {sceneMesh.meshes} MESHES
+              </div>
+            )}
+            <div>GRID: {stats.dimensions.join('×')}</div>
             <div>ORIGINAL: {stats.voxels} voxels</div>
             <div>SHELL: {stats.shellVoxels} voxels</div>
             <div style={{ color: '#00ff88' }}>SAVED: {stats.savedPercent}%</div>
             <div>VERTICES: {stats.vertices}</div>
             <div>FACES: {stats.faces}</div>
             {stats.symmetric && <div style={{ color: '#ff88ff' }}>⟷ SYMMETRIC</div>}
+            {stats.symmetrySavings.map(({ axis, faces }) => (
+              <div key={axis} style={{ color: '#ff88ff' }}>  {axis}: +{faces} faces mirrored</div>
+            ))}
+            {stats.greedy && <div style={{ color: '#ffcc55' }}>▦ GREEDY</div>}
+            {stats.chunks && <div>CHUNKS: {stats.chunks.total} ({stats.chunks.remeshed} meshed)</div>}
+            <div>BACKEND: {activeBackend === 'webgl' ? 'WEBGL' : '2D CANVAS'}</div>
+            <div>
+              CAMERA: {cameraSettings.mode.toUpperCase()}
+              {cameraSettings.mode === 'perspective' && ` ${cameraSettings.fov}°`}
+            </div>
+            {partMeshes && <div style={{ color: '#ffcc55' }}>▶ {activeAnimation.toUpperCase()}: {partMeshes.length} PARTS</div>}
+            {sequence && frameStats && (
+              <div style={{ color: '#ffcc55' }}>
+                ▶ FRAME {frameStats.index + 1}/{sequence.frames.length}: {frameStats.vertices} VERTS • {frameStats.faces} FACES ({frameStats.cached} CACHED)
+              </div>
+            )}
+            {hover && (
+              <div style={{ color: '#ffffff' }}>
+                VOXEL: {hover.voxel.join(',')} #{hover.colorIndex}
+              </div>
+            )}
+          </div>
+          <div style={styles.hint}>
+            {editMode
+              ? 'CLICK ADD • SHIFT-CLICK REMOVE • ALT-CLICK PAINT'
+              : 'DRAG TO ORBIT • RIGHT-DRAG TO PAN • SCROLL TO ZOOM'}
           </div>
-          <div style={styles.hint}>DRAG TO ROTATE • SCROLL TO ZOOM</div>
         </div>
 
         <div style={styles.controls}>
-          <div style={styles.controlGroup}>
-            <label style={styles.label}>MODEL</label>
-            <select 
-              value={model} 
-              onChange={(e) => setModel(e.target.value)}
-              style={styles.select}
-            >
-              <option value="human">Human ⟷</option>
-              <option value="robot">Robot ⟷</option>
-              <option value="car">Car ⟷</option>
-              <option value="tree">Tree ⟷</option>
-              <option value="house">House ⟷</option>
-              <option value="cube">Cube</option>
-              <option value="sphere">Sphere</option>
-            </select>
-          </div>
+          {catalog.length > 0 && (
+            <div style={{ ...styles.controlGroup, ...(grid || scene ? { opacity: 0.5 } : {}) }}>
+              <label style={styles.label}>MODEL</label>
+              <select 
+                value={model} 
+                onChange={(e) => handleModelChange(e.target.value)}
+                disabled={!!(grid || scene)}
+                style={styles.select}
+              >
+                {catalog.map(entry => (
+                  <option key={entry.name} value={entry.name}>
+                    {entry.label || entry.name}{entry.symmetric ? ' ⟷' : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
 
-          <div style={styles.controlGroup}>
+          {!grid && !scene && (modelEntry.rig || modelEntry.sequences) && (
+            <div style={styles.controlGroup}>
+              <label style={styles.label}>ANIMATION</label>
+              <select
+                value={animating ? activeAnimation : ''}
+                onChange={(e) => handleAnimationChange(e.target.value)}
+                style={styles.select}
+              >
+                <option value="">None</option>
+                {Object.keys(modelEntry.rig ? modelEntry.rig.animations : {}).map(name => (
+                  <option key={name} value={name}>{name[0].toUpperCase() + name.slice(1)}</option>
+                ))}
+                {Object.keys(modelEntry.sequences || {}).map(name => (
+                  <option key={name} value={name}>{name[0].toUpperCase() + name.slice(1)} (frames)</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {sequence && (
+            <div style={styles.controlGroup}>
+              <div style={styles.toggleGroup}>
+                <button
+                  onClick={handlePlayToggle}
+                  style={{
+                    ...styles.toggleButton,
+                    ...(playing ? styles.toggleActive : {})
+                  }}
+                >
+                  {playing ? '❚❚ PAUSE' : '▶ PLAY'}
+                </button>
+                <button
+                  onClick={() => setLoopPlayback(!loopPlayback)}
+                  style={{
+                    ...styles.toggleButton,
+                    ...(loopPlayback ? styles.toggleActive : {})
+                  }}
+                >
+                  LOOP {loopPlayback ? 'ON' : 'OFF'}
+                </button>
+              </div>
+              <label style={styles.label}>FRAME: {(frameStats ? frameStats.index : 0) + 1}/{sequence.frames.length}</label>
+              <input
+                type="range"
+                min="0"
+                max={sequence.frames.length - 1}
+                step="1"
+                value={frameStats ? frameStats.index : 0}
+                onChange={(e) => handleScrub(parseInt(e.target.value))}
+                style={styles.slider}
+              />
+              <label style={styles.label}>FPS: {playbackFps}</label>
+              <input
+                type="range"
+                min="1"
+                max="30"
+                step="1"
+                value={playbackFps}
+                onChange={(e) => setFpsOverride(parseInt(e.target.value))}
+                style={styles.slider}
+              />
+            </div>
+          )}
+
+          {!grid && !scene && modelEntry.params && (
+            <div style={styles.controlGroup}>
+              <label style={styles.label}>SEED: {seed}</label>
+              <button onClick={handleRandomize} style={styles.toggleButton}>
+                ⚄ RANDOMIZE
+              </button>
+              {Object.entries(Procedural.resolveParams(modelEntry.params, generatorParams)).map(([key, value]) => {
+                const spec = modelEntry.params[key];
+                const label = (spec.label || key).toUpperCase();
+                if (spec.type === 'boolean') {
+                  return (
+                    <button
+                      key={key}
+                      onClick={() => handleParamChange(key, !value)}
+                      style={{
+                        ...styles.toggleButton,
+                        ...(value ? styles.toggleActive : {})
+                      }}
+                    >
+                      {label} {value ? 'ON' : 'OFF'}
+                    </button>
+                  );
+                }
+                if (spec.type === 'select') {
+                  return (
+                    <div key={key} style={styles.controlGroup}>
+                      <label style={styles.label}>{label}</label>
+                      <select
+                        value={value}
+                        onChange={(e) => handleParamChange(key, e.target.value)}
+                        style={styles.select}
+                      >
+                        {spec.options.map(option => (
+                          <option key={option} value={option}>{option}</option>
+                        ))}
+                      </select>
+                    </div>
+                  );
+                }
+                return (
+                  <div key={key} style={styles.controlGroup}>
+                    <label style={styles.label}>{label}: {value}</label>
+                    <input
+                      type="range"
+                      min={spec.min}
+                      max={spec.max}
+                      step={spec.step || 'any'}
+                      value={value}
+                      onChange={(e) => handleParamChange(key, parseFloat(e.target.value))}
+                      style={styles.slider}
+                    />
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          <div style={{ ...styles.controlGroup, ...(grid ? { opacity: 0.5 } : {}) }}>
             <label style={styles.label}>RESOLUTION: {resolution}³</label>
             <input
               type="range"
               min="4"
-              max="32"
+              max="128"
               step="2"
               value={resolution}
               onChange={(e) => setResolution(parseInt(e.target.value))}
+              disabled={!!grid}
               style={styles.slider}
             />
           </div>
@@ -922,17 +5804,43 @@ const VoxelProps = ({
           <div style={styles.controlGroup}>
             <label style={styles.label}>PALETTE</label>
             <select 
-              value={palette} 
-              onChange={(e) => setPalette(e.target.value)}
+              value={typeof palette === 'string' ? palette : 'custom'} 
+              onChange={(e) => setPalette(e.target.value === 'custom' ? customPalette : e.target.value)}
               style={styles.select}
             >
-              <option value="default">Default</option>
-              <option value="cyberpunk">Cyberpunk</option>
-              <option value="retro">Retro</option>
+              {PaletteRegistry.list().map(({ name, label }) => (
+                <option key={name} value={name}>{label}</option>
+              ))}
+              {customPalette && <option value="custom">Custom</option>}
             </select>
+            <label style={{ ...styles.toggleButton, textAlign: 'center' }}>
+              IMPORT .GPL / .HEX / .PNG
+              <input
+                type="file"
+                accept=".gpl,.hex,.png"
+                onChange={handlePaletteImport}
+                style={{ display: 'none' }}
+              />
+            </label>
+            {paletteError && <div style={styles.error}>{paletteError}</div>}
           </div>
 
           <div style={styles.controlGroup}>
+            <label style={styles.label}>LIGHTS</label>
+            <select
+              value={typeof lightRig === 'string' ? lightRig : (lightRig ? 'custom' : '')}
+              onChange={(e) => setLightRig(e.target.value === 'custom' ? lights : (e.target.value || null))}
+              style={styles.select}
+            >
+              <option value="">Single</option>
+              {Object.keys(LightPresets).map(name => (
+                <option key={name} value={name}>{name[0].toUpperCase() + name.slice(1)}</option>
+              ))}
+              {lights && typeof lights === 'object' && <option value="custom">Custom</option>}
+            </select>
+          </div>
+
+          <div style={{ ...styles.controlGroup, ...(lightRig ? { opacity: 0.5 } : {}) }}>
             <label style={styles.label}>LIGHT ANGLE: {lightAngle}°</label>
             <input
               type="range"
@@ -940,6 +5848,7 @@ const VoxelProps = ({
               max="360"
               value={lightAngle}
               onChange={(e) => setLightAngle(parseInt(e.target.value))}
+              disabled={!!lightRig}
               style={styles.slider}
             />
           </div>
@@ -952,11 +5861,67 @@ const VoxelProps = ({
               max="4"
               step="0.1"
               value={zoom}
-              onChange={(e) => setZoom(parseFloat(e.target.value))}
+              onChange={(e) => {
+                CameraControls.setView(controls, { zoom: parseFloat(e.target.value) });
+                setZoom(controls.view.zoom);
+              }}
               style={styles.slider}
             />
           </div>
 
+          <div style={styles.controlGroup}>
+            <label style={styles.label}>CAMERA</label>
+            <select
+              value={cameraSettings.mode}
+              onChange={(e) => handleCameraChange({ mode: e.target.value })}
+              style={styles.select}
+            >
+              <option value="orthographic">Orthographic</option>
+              <option value="perspective">Perspective</option>
+              <option value="isometric">Isometric (2:1)</option>
+            </select>
+            <div style={styles.toggleGroup}>
+              {['front', 'side', 'top'].map(name => (
+                <button key={name} onClick={() => handleFlyTo(name)} style={styles.toggleButton}>
+                  {name.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {cameraSettings.mode === 'perspective' && (
+            <div style={styles.controlGroup}>
+              <label style={styles.label}>FOV: {cameraSettings.fov}°</label>
+              <input
+                type="range"
+                min="20"
+                max="110"
+                value={cameraSettings.fov}
+                onChange={(e) => handleCameraChange({ fov: parseInt(e.target.value) })}
+                style={styles.slider}
+              />
+              <label style={styles.label}>NEAR: {cameraSettings.near.toFixed(2)}</label>
+              <input
+                type="range"
+                min="0.01"
+                max="1"
+                step="0.01"
+                value={cameraSettings.near}
+                onChange={(e) => handleCameraChange({ near: parseFloat(e.target.value) })}
+                style={styles.slider}
+              />
+              <label style={styles.label}>FAR: {cameraSettings.far}</label>
+              <input
+                type="range"
+                min="2"
+                max="100"
+                value={cameraSettings.far}
+                onChange={(e) => handleCameraChange({ far: parseInt(e.target.value) })}
+                style={styles.slider}
+              />
+            </div>
+          )}
+
           <div style={{...styles.controlGroup, borderTop: '1px solid rgba(0,255,200,0.2)', paddingTop: '16px', marginTop: '8px'}}>
             <label style={{...styles.label, color: '#00ff88'}}>⚡ OPTIMIZATIONS</label>
           </div>
@@ -966,8 +5931,10 @@ const VoxelProps = ({
               onClick={() => setUseHollow(!useHollow)}
               style={{
                 ...styles.toggleButton,
-                ...(useHollow ? styles.toggleActive : {})
+                ...(useHollow ? styles.toggleActive : {}),
+                ...(sourceGrid.chunks ? { opacity: 0.5 } : {})
               }}
+              disabled={!!sourceGrid.chunks}
             >
               HOLLOW {useHollow ? 'ON' : 'OFF'}
             </button>
@@ -984,6 +5951,27 @@ const VoxelProps = ({
             </button>
           </div>
 
+          <div style={styles.toggleGroup}>
+            <button
+              onClick={() => setUseGreedy(!useGreedy)}
+              style={{
+                ...styles.toggleButton,
+                ...(useGreedy ? styles.toggleActive : {})
+              }}
+            >
+              GREEDY {useGreedy ? 'ON' : 'OFF'}
+            </button>
+            <button
+              onClick={() => setUseAO(!useAO)}
+              style={{
+                ...styles.toggleButton,
+                ...(useAO ? styles.toggleActive : {})
+              }}
+            >
+              AO {useAO ? 'ON' : 'OFF'}
+            </button>
+          </div>
+
           <div style={styles.toggleGroup}>
             <button
               onClick={() => setShowFaces(!showFaces)}
@@ -1005,6 +5993,42 @@ const VoxelProps = ({
             </button>
           </div>
 
+          <div style={styles.toggleGroup}>
+            <button
+              onClick={() => setUseZBuffer(!useZBuffer)}
+              style={{
+                ...styles.toggleButton,
+                ...(useZBuffer ? styles.toggleActive : {})
+              }}
+            >
+              Z-BUFFER {useZBuffer ? 'ON' : 'OFF'}
+            </button>
+            <button
+              onClick={() => setPaletteLocked(!paletteLocked)}
+              style={{
+                ...styles.toggleButton,
+                ...(paletteLocked ? styles.toggleActive : {})
+              }}
+            >
+              PALETTE LOCK {paletteLocked ? 'ON' : 'OFF'}
+            </button>
+          </div>
+
+          <div style={styles.toggleGroup}>
+            {['smooth', 'banded', 'dithered'].map(mode => (
+              <button
+                key={mode}
+                onClick={() => setShading(mode)}
+                style={{
+                  ...styles.toggleButton,
+                  ...(shading === mode ? styles.toggleActive : {})
+                }}
+              >
+                {mode.toUpperCase()}
+              </button>
+            ))}
+          </div>
+
           <div style={styles.toggleGroup}>
             <button
               onClick={() => setIsRotating(!isRotating)}
@@ -1016,20 +6040,118 @@ const VoxelProps = ({
               AUTO-ROTATE {isRotating ? 'ON' : 'OFF'}
             </button>
             <button
-              onClick={() => {
-                setRotation({ x: -0.4, y: 0.5 });
-                setZoom(1.5);
-              }}
+              onClick={() => handleFlyTo('default')}
               style={styles.toggleButton}
             >
               RESET VIEW
             </button>
           </div>
+
+          <div style={{...styles.controlGroup, borderTop: '1px solid rgba(0,255,200,0.2)', paddingTop: '16px', marginTop: '8px'}}>
+            <label style={{...styles.label, color: '#00ff88'}}>✎ EDITOR</label>
+          </div>
+
+          <div style={styles.toggleGroup}>
+            <button
+              onClick={() => setEditMode(!editMode)}
+              disabled={!!scene}
+              style={{
+                ...styles.toggleButton,
+                ...(editMode ? styles.toggleActive : {}),
+                ...(scene ? { opacity: 0.5 } : {})
+              }}
+            >
+              EDIT {editMode ? 'ON' : 'OFF'}
+            </button>
+            <button
+              onClick={() => setMirrorBrush(!mirrorBrush)}
+              style={{
+                ...styles.toggleButton,
+                ...(mirrorBrush ? styles.toggleActive : {}),
+                ...(!VoxelEngine.getSymmetry(sourceGrid) ? { opacity: 0.5 } : {})
+              }}
+              disabled={!VoxelEngine.getSymmetry(sourceGrid)}
+            >
+              MIRROR BRUSH {mirrorBrush ? 'ON' : 'OFF'}
+            </button>
+          </div>
+
+          <div style={styles.toggleGroup}>
+            <button
+              onClick={handleUndo}
+              style={{
+                ...styles.toggleButton,
+                ...(history.undoStack.length === 0 ? { opacity: 0.5 } : {})
+              }}
+              disabled={history.undoStack.length === 0}
+              title="Undo (Ctrl+Z)"
+            >
+              ↶ UNDO
+            </button>
+            <button
+              onClick={handleRedo}
+              style={{
+                ...styles.toggleButton,
+                ...(history.redoStack.length === 0 ? { opacity: 0.5 } : {})
+              }}
+              disabled={history.redoStack.length === 0}
+              title="Redo (Ctrl+Shift+Z)"
+            >
+              ↷ REDO
+            </button>
+          </div>
+
+          {editMode && (
+            <div style={styles.swatchGroup}>
+              {Object.keys(PaletteRegistry.resolve(palette)).map(Number).sort((a, b) => a - b).map(index => (
+                <button
+                  key={index}
+                  title={`Color ${index}`}
+                  onClick={() => setBrushColor(index)}
+                  style={{
+                    ...styles.swatch,
+                    backgroundColor: PaletteRegistry.resolve(palette)[index].base,
+                    ...(brushColor === index ? styles.swatchActive : {})
+                  }}
+                />
+              ))}
+            </div>
+          )}
+
+          <div style={{...styles.controlGroup, borderTop: '1px solid rgba(0,255,200,0.2)', paddingTop: '16px', marginTop: '8px'}}>
+            <label style={{...styles.label, color: '#00ff88'}}>⬇ EXPORT</label>
+          </div>
+
+          <div style={styles.toggleGroup}>
+            <button
+              onClick={() => setBakeShading(!bakeShading)}
+              style={{
+                ...styles.toggleButton,
+                ...(bakeShading ? styles.toggleActive : {})
+              }}
+            >
+              BAKE SHADING {bakeShading ? 'ON' : 'OFF'}
+            </button>
+            <button
+              onClick={handleExportGLB}
+              style={styles.toggleButton}
+            >
+              EXPORT GLB
+            </button>
+          </div>
+
+          <div style={styles.toggleGroup}>
+            <button onClick={handleExportOBJ} style={styles.toggleButton}>OBJ</button>
+            <button onClick={handleExportSTL} style={styles.toggleButton}>STL</button>
+            <button onClick={handleExportPLY} style={styles.toggleButton}>PLY</button>
+          </div>
         </div>
       </div>
     </div>
   );
-};
+});
+
+VoxelProps.displayName = 'VoxelProps';
 
 // ============================================================================
 // STYLES
@@ -1043,6 +6165,7 @@ const styles = {
     padding: '24px',
     minHeight: '100vh',
     boxSizing: 'border-box',
+    outline: 'none',
   },
   header: {
     textAlign: 'center',
@@ -1076,6 +6199,14 @@ const styles = {
   canvas: {
     display: 'block',
     cursor: 'grab',
+    // Pointer Events handle pinch and pan, not the browser
+    touchAction: 'none',
+  },
+  glCanvas: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    pointerEvents: 'none',
   },
   stats: {
     position: 'absolute',
@@ -1114,6 +6245,27 @@ const styles = {
     letterSpacing: '2px',
     color: 'rgba(0, 255, 200, 0.6)',
   },
+  swatchGroup: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '4px',
+  },
+  swatch: {
+    width: '20px',
+    height: '20px',
+    padding: 0,
+    border: '1px solid rgba(0, 255, 200, 0.3)',
+    cursor: 'pointer',
+  },
+  swatchActive: {
+    border: '2px solid #00ffc8',
+    boxShadow: '0 0 8px rgba(0, 255, 200, 0.6)',
+  },
+  error: {
+    fontSize: '10px',
+    letterSpacing: '1px',
+    color: '#ff6b6b',
+  },
   select: {
     backgroundColor: '#0a0a12',
     color: '#00ffc8',
@@ -1157,4 +6309,4 @@ const styles = {
 };
 
 export default VoxelProps;
-export { VoxelEngine, VoxelModels, ColorPalettes, Renderer, Matrix };
+export { VoxelEngine, VoxelShapes, VoxelModels, VoxelGenerators, Procedural, VoxelParts, VoxelRigs, VoxelAnimation, VoxelSequences, ModelRegistry, VoxelScene, ColorPalettes, PaletteRegistry, LightPresets, Renderer, WebGLRenderer, Matrix, Camera, CameraControls, VoxFormat, MeshExport, Picker, VoxelEditor, EditHistory };